@@ -7,17 +7,53 @@ const App = (() => {
     // DOM Elements
     const elements = {};
     let currentBook = null;
+    let pendingSelection = null; // Text selection waiting for a highlight color
+    let editingHighlightId = null; // Existing highlight opened from the text
+    let exportScope = 'book'; // 'book' or 'library'
+    let pendingBackup = null; // Backup read from disk, waiting for confirmation
+    let resizeTimer = null;
+    let typography = null; // Typography saved for every book (see loadTypography)
+    let libraryBooks = []; // Every book, as last loaded (see loadLibrary)
+    let collections = [];
+    let coverUrls = new Map(); // Object URLs of the library's cover thumbnails by book id
+    let libraryFilter = { query: '', status: null, collection: null, tag: null };
+    let librarySort = Library.DEFAULT_SORT;
+    let editingBook = null; // Book open in the details modal
+    let editingRating = null;
 
     // Initialize application
     async function init() {
         cacheElements();
-        await Storage.init();
+
+        try {
+            await Storage.init({ onBlocked: handleStorageBlocked, onVersionChange: handleStorageVersionChange });
+        } catch (error) {
+            console.error('Error opening the database:', error);
+            alert(`Não foi possível abrir a biblioteca.\n\n${error.message || error}`);
+            return;
+        }
+
         await Themes.init();
+        await ReadAloud.init();
+        await loadTypography();
         PDFHandler.init();
         setupEventListeners();
+        librarySort = await Storage.getSetting('librarySort') || Library.DEFAULT_SORT;
         await loadLibrary();
     }
 
+    // An older version of the app is open in another tab and holds the database
+    // until it's closed (newer versions let go on their own, see Storage.init)
+    function handleStorageBlocked() {
+        alert('O KindlePDF está aberto em outra aba com uma versão anterior. Feche essa aba para concluir a atualização da biblioteca.');
+    }
+
+    // Another tab upgraded the database: this one can't read or save anything until reloaded
+    function handleStorageVersionChange() {
+        document.getElementById('storage-reload').addEventListener('click', () => location.reload());
+        document.getElementById('storage-replaced').classList.add('visible');
+    }
+
     function cacheElements() {
         elements.libraryView = document.getElementById('library-view');
         elements.readerView = document.getElementById('reader-view');
@@ -28,22 +64,100 @@ const App = (() => {
         elements.dropZone = document.getElementById('drop-zone');
         elements.loadingOverlay = document.getElementById('loading-overlay');
 
+        // Library organization
+        elements.libraryToolbar = document.getElementById('library-toolbar');
+        elements.librarySearch = document.getElementById('library-search');
+        elements.librarySort = document.getElementById('library-sort');
+        elements.libraryFilters = document.getElementById('library-filters');
+        elements.libraryNoResults = document.getElementById('library-no-results');
+        elements.bookDetailsModal = document.getElementById('book-details-modal');
+        elements.bookDetailsInfo = document.getElementById('book-details-info');
+        elements.bookDetailsTitle = document.getElementById('book-details-title');
+        elements.bookDetailsAuthor = document.getElementById('book-details-author');
+        elements.bookDetailsSubject = document.getElementById('book-details-subject');
+        elements.bookDetailsPublisher = document.getElementById('book-details-publisher');
+        elements.bookDetailsLanguage = document.getElementById('book-details-language');
+        elements.bookDetailsDate = document.getElementById('book-details-date');
+        elements.bookDetailsStatus = document.getElementById('book-details-status');
+        elements.bookDetailsRating = document.getElementById('book-details-rating');
+        elements.bookDetailsCollections = document.getElementById('book-details-collections');
+        elements.bookDetailsTags = document.getElementById('book-details-tags');
+
         // Reader elements
         elements.bookTitle = document.getElementById('book-title');
+        elements.chapterTitle = document.getElementById('chapter-title');
         elements.pageIndicator = document.getElementById('page-indicator');
+        elements.timeLeft = document.getElementById('time-left');
         elements.pdfContainer = document.getElementById('pdf-container');
         elements.pdfPages = document.getElementById('pdf-pages');
         elements.progressBar = document.getElementById('progress-bar');
+        elements.extractionBar = document.getElementById('extraction-bar');
         elements.zoomSlider = document.getElementById('zoom-slider');
+        elements.ocrLanguage = document.getElementById('ocr-language');
         elements.zoomValue = document.getElementById('zoom-value');
+        elements.layoutZoomValue = document.getElementById('layout-zoom-value');
 
         // Sidebar & Modal
         elements.sidebar = document.getElementById('sidebar');
+        elements.tocList = document.getElementById('toc-list');
         elements.bookmarksList = document.getElementById('bookmarks-list');
         elements.notesList = document.getElementById('notes-list');
+        elements.highlightsList = document.getElementById('highlights-list');
+        elements.highlightToolbar = document.getElementById('highlight-toolbar');
         elements.noteModal = document.getElementById('note-modal');
         elements.noteText = document.getElementById('note-text');
         elements.notePageNum = document.getElementById('note-page-num');
+        elements.exportModal = document.getElementById('export-modal');
+        elements.exportScope = document.getElementById('export-scope');
+        elements.exportGroupOptions = document.getElementById('export-group-options');
+        elements.importModal = document.getElementById('import-modal');
+        elements.importSummary = document.getElementById('import-summary');
+        elements.importReview = document.getElementById('import-review');
+        elements.restoreModal = document.getElementById('restore-modal');
+        elements.restoreInfo = document.getElementById('restore-info');
+        elements.statsModal = document.getElementById('stats-modal');
+        elements.statsTitle = document.getElementById('stats-title');
+        elements.statsBody = document.getElementById('stats-body');
+        elements.dictionariesModal = document.getElementById('dictionaries-modal');
+        elements.dictionaryList = document.getElementById('dictionary-list');
+        elements.figureModal = document.getElementById('figure-modal');
+        elements.figureImage = document.getElementById('figure-image');
+
+        // Dictionary
+        elements.dictionaryPopover = document.getElementById('dictionary-popover');
+        elements.dictionaryWord = document.getElementById('dictionary-word');
+        elements.dictionaryResults = document.getElementById('dictionary-results');
+
+        // Typography
+        elements.typographyPanel = document.getElementById('typography-panel');
+        elements.typographyFont = document.getElementById('typography-font');
+        elements.typographySize = document.getElementById('typography-size');
+        elements.typographyLineHeight = document.getElementById('typography-line-height');
+        elements.typographyMargin = document.getElementById('typography-margin');
+        elements.typographyAlign = document.getElementById('typography-align');
+        elements.typographyIndent = document.getElementById('typography-indent');
+        elements.typographySpacing = document.getElementById('typography-spacing');
+        elements.typographyBook = document.getElementById('typography-book');
+
+        // Read aloud
+        elements.readAloudToggle = document.getElementById('toggle-read-aloud');
+        elements.readAloudPanel = document.getElementById('read-aloud-panel');
+        elements.readAloudPlay = document.getElementById('read-aloud-play');
+        elements.readAloudVoice = document.getElementById('read-aloud-voice');
+        elements.readAloudRate = document.getElementById('read-aloud-rate');
+        elements.readAloudRateValue = document.getElementById('read-aloud-rate-value');
+        elements.readAloudPitch = document.getElementById('read-aloud-pitch');
+        elements.readAloudPitchValue = document.getElementById('read-aloud-pitch-value');
+        elements.readAloudSleep = document.getElementById('read-aloud-sleep');
+        elements.readAloudStatus = document.getElementById('read-aloud-status');
+
+        // Search
+        elements.searchPanel = document.getElementById('search-panel');
+        elements.searchInput = document.getElementById('search-input');
+        elements.searchIgnoreCase = document.getElementById('search-ignore-case');
+        elements.searchIgnoreAccents = document.getElementById('search-ignore-accents');
+        elements.searchCount = document.getElementById('search-count');
+        elements.searchResults = document.getElementById('search-results');
     }
 
     function setupEventListeners() {
@@ -56,6 +170,24 @@ const App = (() => {
         elements.dropZone.addEventListener('dragleave', handleDragLeave);
         elements.dropZone.addEventListener('drop', handleDrop);
 
+        // Library organization
+        Object.entries(Library.SORTS).forEach(([value, label]) => elements.librarySort.add(new Option(label, value)));
+        Object.entries(Library.STATUSES).forEach(([value, label]) => elements.bookDetailsStatus.add(new Option(label, value)));
+        elements.librarySearch.addEventListener('input', () => {
+            libraryFilter.query = elements.librarySearch.value;
+            renderLibrary();
+        });
+        elements.librarySort.addEventListener('change', () => {
+            librarySort = elements.librarySort.value;
+            Storage.setSetting('librarySort', librarySort).catch(() => { });
+            renderLibrary();
+        });
+        elements.libraryFilters.addEventListener('click', handleFilterClick);
+        document.getElementById('add-collection').addEventListener('click', handleAddCollection);
+        document.getElementById('close-book-details').addEventListener('click', closeBookDetails);
+        document.getElementById('cancel-book-details').addEventListener('click', closeBookDetails);
+        document.getElementById('save-book-details').addEventListener('click', saveBookDetails);
+
         // Theme toggles
         document.getElementById('theme-toggle-library').addEventListener('click', () => Themes.cycleTheme());
         document.getElementById('theme-toggle-reader').addEventListener('click', () => Themes.cycleTheme());
@@ -71,9 +203,24 @@ const App = (() => {
             updatePageIndicator();
         });
 
+        // Chapter navigation
+        document.getElementById('prev-chapter').addEventListener('click', () => goToAdjacentChapter(-1));
+        document.getElementById('next-chapter').addEventListener('click', () => goToAdjacentChapter(1));
+
         // Reading modes
         document.getElementById('reading-mode-scroll').addEventListener('click', () => setReadingMode('scroll'));
         document.getElementById('reading-mode-page').addEventListener('click', () => setReadingMode('page'));
+        document.getElementById('reading-mode-layout').addEventListener('click', () => setReadingMode('layout'));
+
+        // Layout zoom controls
+        document.getElementById('layout-zoom-in').addEventListener('click', () => applyLayoutZoom(PDFHandler.zoomIn));
+        document.getElementById('layout-zoom-out').addEventListener('click', () => applyLayoutZoom(PDFHandler.zoomOut));
+        document.getElementById('layout-fit-width').addEventListener('click', () => {
+            applyLayoutZoom(container => PDFHandler.setZoom('fit-width', container));
+        });
+        document.getElementById('layout-fit-page').addEventListener('click', () => {
+            applyLayoutZoom(container => PDFHandler.setZoom('fit-page', container));
+        });
 
         // Font size controls (was zoom)
         document.getElementById('zoom-in').addEventListener('click', () => adjustFontSize(2));
@@ -81,6 +228,10 @@ const App = (() => {
         elements.zoomSlider.addEventListener('input', handleFontSlider);
         document.getElementById('fit-width').addEventListener('click', resetFontSize);
 
+        // OCR language of the open book
+        Object.entries(OCR.LANGUAGES).forEach(([code, name]) => elements.ocrLanguage.add(new Option(name, code)));
+        elements.ocrLanguage.addEventListener('change', handleOcrLanguageChange);
+
         // Sidebar
         document.getElementById('toggle-sidebar').addEventListener('click', toggleSidebar);
         document.getElementById('close-sidebar').addEventListener('click', closeSidebar);
@@ -96,14 +247,118 @@ const App = (() => {
         document.getElementById('cancel-note').addEventListener('click', closeNoteModal);
         document.getElementById('save-note').addEventListener('click', saveNote);
 
+        // Backup & restore
+        document.getElementById('backup-library').addEventListener('click', handleBackup);
+        document.getElementById('restore-upload').addEventListener('change', handleRestoreUpload);
+        document.getElementById('close-restore-modal').addEventListener('click', closeRestoreModal);
+        document.getElementById('cancel-restore').addEventListener('click', closeRestoreModal);
+        document.getElementById('confirm-restore').addEventListener('click', handleRestore);
+
+        // Reading stats
+        document.getElementById('library-stats').addEventListener('click', () => openStatsModal());
+        document.getElementById('book-stats').addEventListener('click', () => openStatsModal(currentBook.id));
+        document.getElementById('close-stats-modal').addEventListener('click', closeStatsModal);
+        document.getElementById('done-stats').addEventListener('click', closeStatsModal);
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) Stats.pause();
+            else Stats.resume();
+        });
+        window.addEventListener('pagehide', () => Stats.pause());
+
+        // Kindle import
+        document.getElementById('clippings-upload').addEventListener('change', handleClippingsUpload);
+        document.getElementById('close-import-modal').addEventListener('click', closeImportModal);
+        document.getElementById('done-import').addEventListener('click', closeImportModal);
+
+        // Export
+        document.getElementById('export-library').addEventListener('click', () => openExportModal('library'));
+        document.getElementById('export-book').addEventListener('click', () => openExportModal('book'));
+        document.getElementById('close-export-modal').addEventListener('click', closeExportModal);
+        document.getElementById('cancel-export').addEventListener('click', closeExportModal);
+        document.getElementById('confirm-export').addEventListener('click', handleExport);
+        document.querySelectorAll('input[name="export-format"]').forEach(input => {
+            input.addEventListener('change', updateExportOptions);
+        });
+
+        // Highlights
+        elements.pdfPages.addEventListener('mouseup', handleTextSelection);
+        elements.pdfPages.addEventListener('touchend', handleTextSelection);
+        elements.pdfPages.addEventListener('click', handleHighlightClick);
+        elements.highlightToolbar.querySelectorAll('.highlight-color').forEach(btn => {
+            btn.addEventListener('click', () => applyHighlightColor(btn.dataset.color));
+        });
+        document.getElementById('highlight-remove').addEventListener('click', removeEditingHighlight);
+        document.addEventListener('mousedown', (e) => {
+            if (!elements.highlightToolbar.contains(e.target)) hideHighlightToolbar();
+        });
+
+        // Figures
+        elements.pdfPages.addEventListener('click', handleFigureClick);
+        elements.figureModal.addEventListener('click', closeFigureModal);
+
+        // Dictionary
+        elements.pdfPages.addEventListener('click', handleWordTap);
+        document.getElementById('highlight-define').addEventListener('click', defineSelection);
+        document.getElementById('close-dictionary-popover').addEventListener('click', closeDictionaryPopover);
+        document.addEventListener('mousedown', (e) => {
+            if (!elements.dictionaryPopover.contains(e.target)) closeDictionaryPopover();
+        });
+        document.getElementById('manage-dictionaries').addEventListener('click', openDictionariesModal);
+        document.getElementById('close-dictionaries-modal').addEventListener('click', closeDictionariesModal);
+        document.getElementById('done-dictionaries').addEventListener('click', closeDictionariesModal);
+        document.getElementById('dictionary-upload').addEventListener('change', handleDictionaryUpload);
+
+        // Typography
+        document.getElementById('toggle-typography').addEventListener('click', toggleTypographyPanel);
+        document.getElementById('close-typography').addEventListener('click', closeTypographyPanel);
+        document.getElementById('typography-reset').addEventListener('click', () => updateTypography(PDFHandler.DEFAULT_TYPOGRAPHY));
+        elements.typographyBook.addEventListener('change', handleTypographyScopeChange);
+        [elements.typographyFont, elements.typographySize, elements.typographyLineHeight, elements.typographyMargin,
+            elements.typographyAlign, elements.typographyIndent, elements.typographySpacing].forEach(input => {
+            input.addEventListener('change', handleTypographyChange);
+            input.addEventListener('input', updateTypographyValues);
+        });
+
+        // Read aloud
+        if (ReadAloud.isSupported()) {
+            elements.readAloudToggle.addEventListener('click', toggleReadAloudPanel);
+        } else {
+            elements.readAloudToggle.style.display = 'none';
+        }
+        document.getElementById('close-read-aloud').addEventListener('click', closeReadAloudPanel);
+        elements.readAloudPlay.addEventListener('click', () => ReadAloud.toggle(elements.pdfPages));
+        document.getElementById('read-aloud-stop').addEventListener('click', () => ReadAloud.stop());
+        elements.readAloudVoice.addEventListener('change', () => ReadAloud.setVoice(elements.readAloudVoice.value));
+        elements.readAloudRate.addEventListener('change', () => ReadAloud.setRate(parseFloat(elements.readAloudRate.value)));
+        elements.readAloudRate.addEventListener('input', updateReadAloudValues);
+        elements.readAloudPitch.addEventListener('change', () => ReadAloud.setPitch(parseFloat(elements.readAloudPitch.value)));
+        elements.readAloudPitch.addEventListener('input', updateReadAloudValues);
+        elements.readAloudSleep.addEventListener('change', () => ReadAloud.setSleepTimer(parseInt(elements.readAloudSleep.value)));
+        ReadAloud.setListener(handleReadAloudChange);
+
+        // Search
+        document.getElementById('toggle-search').addEventListener('click', toggleSearch);
+        document.getElementById('close-search').addEventListener('click', closeSearch);
+        document.getElementById('search-next').addEventListener('click', () => goToSearchResult(Search.next()));
+        document.getElementById('search-prev').addEventListener('click', () => goToSearchResult(Search.prev()));
+        elements.searchInput.addEventListener('keydown', handleSearchKeydown);
+        elements.searchIgnoreCase.addEventListener('change', runSearch);
+        elements.searchIgnoreAccents.addEventListener('change', runSearch);
+
         // Fullscreen
         document.getElementById('fullscreen-btn').addEventListener('click', toggleFullscreen);
 
         // Scroll tracking
         elements.pdfContainer.addEventListener('scroll', handleScroll);
 
+        // Pages are measured for the viewport, so lay them out again when it changes
+        window.addEventListener('resize', handleResize);
+
         // Keyboard navigation
         document.addEventListener('keydown', handleKeyboard);
+
+        // Text extraction progress
+        PDFHandler.setExtractionListener(updateExtractionProgress);
     }
 
     // ==========================================
@@ -111,19 +366,35 @@ const App = (() => {
     // ==========================================
 
     async function loadLibrary() {
-        const books = await Storage.getAllBooks();
-        renderLibrary(books);
+        const [books, savedCollections, covers] = await Promise.all([
+            Storage.getAllBooks(),
+            Storage.getCollections(),
+            Storage.getCovers()
+        ]);
+        libraryBooks = books;
+        collections = savedCollections;
+        coverUrls.forEach(url => URL.revokeObjectURL(url));
+        coverUrls = new Map([...covers].map(([bookId, blob]) => [bookId, URL.createObjectURL(blob)]));
+
+        // Drop filters left pointing at a deleted collection or a tag no longer used
+        if (libraryFilter.collection && !collections.some(c => c.id === libraryFilter.collection)) libraryFilter.collection = null;
+        if (libraryFilter.tag && !Library.getTags(libraryBooks).includes(libraryFilter.tag)) libraryFilter.tag = null;
+
+        renderLibrary();
     }
 
-    function renderLibrary(books) {
+    function renderLibrary() {
         elements.bookGrid.innerHTML = '';
+        const hasBooks = libraryBooks.length > 0;
 
-        if (books.length === 0) {
-            elements.emptyLibrary.classList.remove('hidden');
-            return;
-        }
+        elements.emptyLibrary.classList.toggle('hidden', hasBooks);
+        elements.libraryToolbar.style.display = hasBooks ? '' : 'none';
+        elements.libraryFilters.style.display = hasBooks ? '' : 'none';
+        elements.librarySort.value = librarySort;
+        renderLibraryFilters();
 
-        elements.emptyLibrary.classList.add('hidden');
+        const books = Library.sortBooks(Library.filterBooks(libraryBooks, libraryFilter), librarySort);
+        elements.libraryNoResults.classList.toggle('visible', hasBooks && books.length === 0);
 
         books.forEach(book => {
             const card = createBookCard(book);
@@ -136,22 +407,30 @@ const App = (() => {
         card.className = 'book-card';
         card.dataset.id = book.id;
 
-        const progress = book.totalPages > 0 ? (book.currentPage / book.totalPages) * 100 : 0;
+        const progress = Library.getProgress(book) * 100;
+        const status = Library.getStatus(book);
+        const title = escapeHtml(book.title);
+        const cover = coverUrls.get(book.id);
 
         card.innerHTML = `
             <div class="book-cover">
-                ${book.coverImage
-                ? `<img src="${book.coverImage}" alt="${book.title}">`
+                ${cover
+                ? `<img src="${cover}" alt="${title}">`
                 : `<div class="book-cover-placeholder">
                         <span class="book-emoji">📖</span>
-                        <span class="book-name">${book.title}</span>
+                        <span class="book-name">${title}</span>
                        </div>`
             }
+                <button class="book-edit" title="Detalhes do livro">✎</button>
                 <button class="book-delete" title="Remover livro">×</button>
             </div>
             <div class="book-info">
-                <h4>${book.title}</h4>
-                <p>${book.totalPages} páginas</p>
+                <h4 title="${title}">${title}</h4>
+                <p>${book.author ? `${escapeHtml(book.author)} · ` : ''}${book.totalPages} páginas</p>
+                <div class="book-meta">
+                    <span class="book-status status-${status}">${Library.STATUSES[status]}</span>
+                    ${book.rating ? `<span class="book-rating" title="${book.rating} de ${Library.MAX_RATING}">${'★'.repeat(book.rating)}</span>` : ''}
+                </div>
                 <div class="book-progress">
                     <div class="book-progress-bar" style="width: ${progress}%"></div>
                 </div>
@@ -159,7 +438,7 @@ const App = (() => {
         `;
 
         card.querySelector('.book-cover').addEventListener('click', (e) => {
-            if (!e.target.classList.contains('book-delete')) {
+            if (!e.target.closest('.book-delete, .book-edit')) {
                 openBook(book.id);
             }
         });
@@ -169,9 +448,168 @@ const App = (() => {
             deleteBook(book.id);
         });
 
+        card.querySelector('.book-edit').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openBookDetails(book);
+        });
+
         return card;
     }
 
+    // ==========================================
+    // Library Organization
+    // ==========================================
+
+    // Chips for status, collections and tags; one of each kind may be active
+    function renderLibraryFilters() {
+        const chip = (kind, value, label) => {
+            const active = libraryFilter[kind] === value;
+            return `<button class="filter-chip${active ? ' active' : ''}" data-kind="${kind}" data-value="${escapeHtml(value ?? '')}">${label}</button>`;
+        };
+
+        const statuses = [
+            chip('status', null, 'Todos'),
+            ...Object.entries(Library.STATUSES).map(([value, label]) => chip('status', value, label))
+        ];
+        const collectionChips = collections.map(collection => {
+            const html = chip('collection', collection.id, `📚 ${escapeHtml(collection.name)}`);
+            if (libraryFilter.collection !== collection.id) return html;
+            return html.replace('</button>', `<span class="filter-chip-delete" data-delete="${collection.id}" title="Excluir coleção">✕</span></button>`);
+        });
+        const tags = Library.getTags(libraryBooks).map(tag => chip('tag', tag, `#${escapeHtml(tag)}`));
+
+        elements.libraryFilters.innerHTML = [statuses, collectionChips, tags]
+            .filter(group => group.length)
+            .map(group => group.join(''))
+            .join('<span class="filter-separator"></span>');
+    }
+
+    function handleFilterClick(e) {
+        const remove = e.target.closest('[data-delete]');
+        if (remove) {
+            handleDeleteCollection(remove.dataset.delete);
+            return;
+        }
+
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+
+        const { kind, value } = chip.dataset;
+        // Clicking the active chip again clears its filter
+        libraryFilter[kind] = !value || libraryFilter[kind] === value ? null : value;
+        renderLibrary();
+    }
+
+    async function handleAddCollection() {
+        const name = prompt('Nome da nova coleção:')?.trim();
+        if (!name) return;
+        if (collections.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+            alert('Já existe uma coleção com esse nome.');
+            return;
+        }
+
+        await Storage.addCollection(name);
+        await loadLibrary();
+    }
+
+    async function handleDeleteCollection(collectionId) {
+        const collection = collections.find(c => c.id === collectionId);
+        if (!collection || !confirm(`Excluir a coleção "${collection.name}"? Os livros continuam na biblioteca.`)) return;
+
+        await Storage.deleteCollection(collectionId);
+        await loadLibrary();
+    }
+
+    function openBookDetails(book) {
+        editingBook = book;
+        editingRating = book.rating || null;
+
+        elements.bookDetailsInfo.textContent = formatBookInfo(book);
+        elements.bookDetailsTitle.value = book.title;
+        elements.bookDetailsAuthor.value = book.author || '';
+        elements.bookDetailsSubject.value = book.subject || '';
+        elements.bookDetailsPublisher.value = book.publisher || '';
+        elements.bookDetailsLanguage.value = book.language || '';
+        elements.bookDetailsDate.value = book.creationDate || '';
+        elements.bookDetailsStatus.value = Library.getStatus(book);
+        elements.bookDetailsTags.value = (book.tags || []).join(', ');
+        elements.bookDetailsCollections.innerHTML = collections.length === 0
+            ? '<p class="modal-hint">Nenhuma coleção. Crie uma com "+ Coleção" na biblioteca.</p>'
+            : collections.map(collection => `
+                <label>
+                    <input type="checkbox" value="${collection.id}" ${(book.collections || []).includes(collection.id) ? 'checked' : ''}>
+                    ${escapeHtml(collection.name)}
+                </label>
+            `).join('');
+
+        renderRatingInput();
+        elements.bookDetailsModal.classList.add('open');
+    }
+
+    // Clicking the current rating again clears it
+    function renderRatingInput() {
+        elements.bookDetailsRating.innerHTML = '';
+        for (let value = 1; value <= Library.MAX_RATING; value++) {
+            const star = document.createElement('button');
+            star.textContent = '★';
+            star.title = `${value} de ${Library.MAX_RATING}`;
+            star.classList.toggle('filled', editingRating !== null && value <= editingRating);
+            star.addEventListener('click', () => {
+                editingRating = editingRating === value ? null : value;
+                renderRatingInput();
+            });
+            elements.bookDetailsRating.appendChild(star);
+        }
+    }
+
+    // "arquivo.pdf · 12,3 MB · 320 páginas · importado em 19 de outubro de 2026"
+    function formatBookInfo(book) {
+        const size = book.fileSize ?? 0;
+        const added = new Date(book.addedAt).toLocaleDateString('pt-BR', { day: 'numeric', month: 'long', year: 'numeric' });
+        return [
+            book.fileName,
+            formatFileSize(size),
+            `${book.totalPages} páginas`,
+            `importado em ${added}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    function formatFileSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / (1024 * 1024)).toLocaleString('pt-BR', { maximumFractionDigits: 1 })} MB`;
+    }
+
+    function closeBookDetails() {
+        elements.bookDetailsModal.classList.remove('open');
+        editingBook = null;
+    }
+
+    async function saveBookDetails() {
+        if (!editingBook) return;
+
+        const changes = {
+            title: elements.bookDetailsTitle.value.trim() || editingBook.title,
+            author: elements.bookDetailsAuthor.value.trim(),
+            subject: elements.bookDetailsSubject.value.trim(),
+            publisher: elements.bookDetailsPublisher.value.trim(),
+            language: elements.bookDetailsLanguage.value.trim(),
+            creationDate: elements.bookDetailsDate.value || null,
+            status: elements.bookDetailsStatus.value,
+            rating: editingRating,
+            collections: [...elements.bookDetailsCollections.querySelectorAll('input:checked')].map(input => input.value),
+            tags: Library.parseTags(elements.bookDetailsTags.value)
+        };
+
+        try {
+            await Storage.updateBook(editingBook.id, changes);
+            closeBookDetails();
+            await loadLibrary();
+        } catch (error) {
+            console.error('Error saving book details:', error);
+            alert('Erro ao salvar as informações do livro.');
+        }
+    }
+
     // ==========================================
     // File Handling
     // ==========================================
@@ -220,21 +658,24 @@ const App = (() => {
             const bufferForStorage = arrayBuffer.slice(0);
 
             console.log('Step 2: Generating cover image...');
-            const coverImage = await PDFHandler.generateCover(bufferForCover);
+            const cover = await PDFHandler.generateCover(bufferForCover);
             console.log('Step 2 OK: Cover generated');
 
             console.log('Step 3: Loading PDF to get total pages...');
             const { totalPages } = await PDFHandler.loadPDF(bufferForLoad, null);
             console.log('Step 3 OK: Total pages:', totalPages);
 
-            const title = file.name.replace('.pdf', '');
+            // The file name is only a fallback: PDFs usually know their own title
+            const metadata = await PDFHandler.getDocumentMetadata();
             console.log('Step 4: Saving book to storage...');
 
             const book = await Storage.saveBook({
-                title,
+                ...metadata,
+                title: metadata.title || titleFromFileName(file.name),
+                fileName: file.name,
                 data: bufferForStorage,
                 totalPages,
-                coverImage
+                cover
             });
             console.log('Step 4 OK: Book saved with ID:', book.id);
 
@@ -249,6 +690,17 @@ const App = (() => {
         }
     }
 
+    // "livro_final_v3 (1).pdf" -> "livro final v3"
+    function titleFromFileName(fileName) {
+        const title = fileName
+            .replace(/\.pdf$/i, '')
+            .replace(/_+/g, ' ')
+            .replace(/\s*\(\d+\)$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return title || fileName;
+    }
+
     // ==========================================
     // Reader Functions
     // ==========================================
@@ -257,24 +709,35 @@ const App = (() => {
         showLoading();
 
         try {
-            const book = await Storage.getBook(bookId);
-            if (!book) throw new Error('Book not found');
+            const [book, data] = await Promise.all([Storage.getBook(bookId), Storage.getBookData(bookId)]);
+            if (!book || !data) throw new Error('Book not found');
 
             currentBook = book;
+            PDFHandler.setTypography({ ...typography, ...book.typography });
+            if (Library.getStatus(book) === 'to-read') {
+                book.status = 'reading';
+                Storage.updateBook(book.id, { status: 'reading' }).catch(() => { });
+            }
 
-            await PDFHandler.loadPDF(book.data, book.id);
+            await PDFHandler.loadPDF(data, book.id);
+            const ocrLanguage = book.ocrLanguage || OCR.DEFAULT_LANGUAGE;
+            if (book.positionTextVersion === PDFHandler.getTextVersion(ocrLanguage)) {
+                PDFHandler.restorePosition(book.positionOffset, book.currentPage);
+            } else {
+                PDFHandler.restorePosition(null, book.currentPage, book.positionSnippet);
+            }
+            await PDFHandler.setOcrLanguage(ocrLanguage);
+            elements.ocrLanguage.value = PDFHandler.getOcrLanguage();
+            elements.readerView.classList.remove('ocr-active');
+            ReadAloud.setLanguage(book.language || (await PDFHandler.getDocumentMetadata()).language);
             elements.bookTitle.textContent = book.title;
 
-            elements.pdfContainer.className = 'pdf-container page-mode';
-            await PDFHandler.setReadingMode('page', elements.pdfPages);
-
-            if (book.currentPage > 1) {
-                setTimeout(() => PDFHandler.goToPage(book.currentPage, elements.pdfPages), 100);
-            }
+            await setReadingMode(PDFHandler.getReadingMode());
+            PDFHandler.whenTextReady().then(() => handleTextReady(book.id));
 
             updatePageIndicator();
             updateZoomDisplay();
-            await loadBookmarksAndNotes();
+            await loadAnnotations();
 
             switchView('reader');
             hideLoading();
@@ -285,11 +748,33 @@ const App = (() => {
         }
     }
 
+    // The TOC, reading stats and annotations to re-anchor need the whole text,
+    // which may still be streaming in
+    async function handleTextReady(bookId) {
+        if (currentBook?.id !== bookId) return;
+
+        try {
+            if (await reanchorAnnotations(bookId)) await loadAnnotations();
+            await PDFHandler.loadToc();
+            renderToc();
+            await Stats.startSession(bookId, PDFHandler.getFullText());
+            updatePageIndicator();
+        } catch (error) {
+            console.error('Error preparing book text:', error);
+        }
+    }
+
     function backToLibrary() {
+        Stats.endSession().catch(error => console.warn('Could not save reading session:', error));
+        ReadAloud.stop();
         switchView('library');
         currentBook = null;
         elements.pdfPages.innerHTML = '';
         closeSidebar();
+        closeSearch();
+        closeReadAloudPanel();
+        closeTypographyPanel();
+        loadLibrary(); // Progress, status and last read changed
     }
 
     async function deleteBook(bookId) {
@@ -304,36 +789,55 @@ const App = (() => {
     // ==========================================
 
     async function setReadingMode(mode) {
-        const scrollBtn = document.getElementById('reading-mode-scroll');
-        const pageBtn = document.getElementById('reading-mode-page');
-
-        scrollBtn.classList.toggle('active', mode === 'scroll');
-        pageBtn.classList.toggle('active', mode === 'page');
+        ['scroll', 'page', 'layout'].forEach(m => {
+            document.getElementById(`reading-mode-${m}`).classList.toggle('active', mode === m);
+        });
         elements.pdfContainer.className = `pdf-container ${mode}-mode`;
+        elements.readerView.classList.toggle('layout-active', mode === 'layout');
 
         await PDFHandler.setReadingMode(mode, elements.pdfPages);
         updatePageIndicator();
+        updateLayoutZoomDisplay();
+    }
+
+    // Scanned pages are recognized again in the chosen language
+    async function handleOcrLanguageChange() {
+        if (!currentBook) return;
+        const bookId = currentBook.id;
+
+        try {
+            currentBook = await Storage.updateBook(bookId, { ocrLanguage: elements.ocrLanguage.value });
+            await PDFHandler.setOcrLanguage(currentBook.ocrLanguage, elements.pdfPages);
+            await loadAnnotations(); // Until the new text is in, offsets of the old one aren't painted
+            PDFHandler.whenTextReady().then(() => handleTextReady(bookId));
+            updatePageIndicator();
+        } catch (error) {
+            console.error('Error changing OCR language:', error);
+            alert('Erro ao alterar o idioma do OCR.');
+        }
+    }
+
+    async function applyLayoutZoom(zoomFn) {
+        await zoomFn(elements.pdfPages);
+        updateLayoutZoomDisplay();
+        updatePageIndicator();
+    }
+
+    function updateLayoutZoomDisplay() {
+        elements.layoutZoomValue.textContent = `${Math.round(PDFHandler.getScale() * 100)}%`;
     }
 
 
     async function adjustFontSize(delta) {
-        const newSize = PDFHandler.getFontSize() + delta;
-        PDFHandler.setFontSize(newSize);
-        await PDFHandler.renderTextContent(elements.pdfPages);
-        updateFontDisplay();
+        await updateTypography({ fontSize: PDFHandler.getFontSize() + delta });
     }
 
     async function handleFontSlider() {
-        const size = parseInt(elements.zoomSlider.value);
-        PDFHandler.setFontSize(size);
-        await PDFHandler.renderTextContent(elements.pdfPages);
-        updateFontDisplay();
+        await updateTypography({ fontSize: parseInt(elements.zoomSlider.value) });
     }
 
     async function resetFontSize() {
-        PDFHandler.setFontSize(18);
-        await PDFHandler.renderTextContent(elements.pdfPages);
-        updateFontDisplay();
+        await updateTypography({ fontSize: PDFHandler.DEFAULT_TYPOGRAPHY.fontSize });
     }
 
     function updateFontDisplay() {
@@ -355,32 +859,528 @@ const App = (() => {
     function updatePageIndicator() {
         const current = PDFHandler.getCurrentPage();
         const total = PDFHandler.getTotalPages();
-        elements.pageIndicator.textContent = `${current} / ${total}`;
+        const extracting = PDFHandler.isExtracting();
+        elements.pageIndicator.textContent = `${current} / ${total}${extracting && PDFHandler.getReadingMode() !== 'layout' ? '…' : ''}`;
         elements.progressBar.style.width = `${(current / total) * 100}%`;
+        updateCurrentChapter();
+        updateReadingStats();
+    }
+
+    // Track the page for the reading session and show "X min left in chapter / book"
+    function updateReadingStats() {
+        if (PDFHandler.isExtracting()) {
+            const { processed, total, ocrPage } = PDFHandler.getExtractionProgress();
+            elements.timeLeft.textContent = ocrPage
+                ? `Reconhecendo texto (OCR)… página ${ocrPage} de ${total}`
+                : `Processando o livro… ${Math.round((processed / total) * 100)}%`;
+            return;
+        }
+
+        Stats.recordPage(PDFHandler.getCurrentPageRange());
+
+        const offset = PDFHandler.getCurrentPageOffset();
+        if (offset < 0) {
+            elements.timeLeft.textContent = '';
+            return;
+        }
+
+        const chapter = PDFHandler.getChapterEntryForOffset(offset);
+        const chapterEnd = chapter ? (PDFHandler.getAdjacentChapter(1)?.offset ?? Infinity) : null;
+        const left = Stats.getTimeLeft(offset, chapterEnd);
+
+        const parts = [];
+        if (left.chapter !== null) parts.push(`${formatMinutes(left.chapter)} restantes no capítulo`);
+        parts.push(`${formatMinutes(left.book)} restantes no livro`);
+        elements.timeLeft.textContent = parts.join(' · ');
+    }
+
+    function updateCurrentChapter() {
+        const chapter = PDFHandler.getChapterEntryForOffset(PDFHandler.getCurrentPageOffset());
+        elements.chapterTitle.textContent = chapter ? chapter.title : '';
+
+        elements.tocList.querySelectorAll('.toc-entry').forEach(item => {
+            item.classList.toggle('current', !!chapter && parseInt(item.dataset.offset) === chapter.offset);
+        });
+    }
+
+    async function goToAdjacentChapter(direction) {
+        const chapter = PDFHandler.getAdjacentChapter(direction);
+        if (chapter) await goToTocEntry(chapter);
+    }
+
+    async function goToTocEntry(entry) {
+        const page = PDFHandler.findPageForOffset(entry.offset);
+        await PDFHandler.goToPage(page !== -1 ? page : entry.pdfPage, elements.pdfPages);
+        updatePageIndicator();
+    }
+
+    function updateExtractionProgress({ processed, total, done, ocrPages }) {
+        elements.extractionBar.style.width = done ? '0%' : `${(processed / total) * 100}%`;
+        elements.readerView.classList.toggle('ocr-active', ocrPages > 0);
+        if (elements.readerView.classList.contains('active')) updatePageIndicator();
     }
 
     function handleScroll() {
         PDFHandler.updateCurrentPageFromScroll(elements.pdfContainer);
         updatePageIndicator();
+        hideHighlightToolbar();
+    }
+
+    function handleResize() {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (PDFHandler.isLoaded() && elements.readerView.classList.contains('active')) {
+                setReadingMode(PDFHandler.getReadingMode());
+            }
+        }, 250);
     }
 
     function handleKeyboard(e) {
         if (!PDFHandler.isLoaded()) return;
 
+        if ((e.ctrlKey || e.metaKey) && e.key === 'f' && elements.readerView.classList.contains('active')) {
+            e.preventDefault();
+            openSearch();
+            return;
+        }
+
+        if (e.key === 'Escape' && elements.figureModal.classList.contains('open')) {
+            closeFigureModal();
+            return;
+        }
+        if (e.key === 'Escape' && elements.dictionaryPopover.classList.contains('open')) {
+            closeDictionaryPopover();
+            return;
+        }
+
+        // Don't turn pages while typing
+        if (e.target.matches('input, textarea')) return;
+
         switch (e.key) {
             case 'ArrowRight':
             case 'PageDown':
+                if (e.shiftKey) {
+                    goToAdjacentChapter(1);
+                    break;
+                }
                 PDFHandler.nextPage(elements.pdfPages);
                 updatePageIndicator();
                 break;
             case 'ArrowLeft':
             case 'PageUp':
+                if (e.shiftKey) {
+                    goToAdjacentChapter(-1);
+                    break;
+                }
                 PDFHandler.prevPage(elements.pdfPages);
                 updatePageIndicator();
                 break;
         }
     }
 
+    // ==========================================
+    // Figures
+    // ==========================================
+
+    // Show a figure full screen, rendered again at the screen's resolution
+    async function handleFigureClick(e) {
+        const el = e.target.closest('.kindle-figure');
+        if (!el) return;
+
+        const width = Math.ceil(window.innerWidth * 0.95 * (window.devicePixelRatio || 1));
+        elements.figureImage.removeAttribute('src');
+        elements.figureModal.classList.add('open');
+        try {
+            elements.figureImage.src = await PDFHandler.renderFigure(JSON.parse(el.dataset.figure), width);
+        } catch (error) {
+            console.error('Error rendering figure:', error);
+            closeFigureModal();
+        }
+    }
+
+    function closeFigureModal() {
+        elements.figureModal.classList.remove('open');
+    }
+
+    // ==========================================
+    // Dictionary
+    // ==========================================
+
+    // Tap on a word of the reflowed text: show its definition
+    function handleWordTap(e) {
+        if (PDFHandler.getReadingMode() === 'layout' || !window.getSelection().isCollapsed) return;
+        if (e.target.closest('mark.highlight, .kindle-figure')) return;
+
+        const hit = Dictionary.wordAtPoint(e.clientX, e.clientY);
+        if (hit) showDefinition(hit.word, hit.rect);
+    }
+
+    function defineSelection() {
+        if (!pendingSelection) return;
+        const { text, rect } = pendingSelection;
+        hideHighlightToolbar();
+        window.getSelection().removeAllRanges();
+        showDefinition(text, rect);
+    }
+
+    async function showDefinition(word, rect) {
+        elements.dictionaryWord.textContent = word;
+        elements.dictionaryResults.innerHTML = '<p class="dictionary-empty">Procurando…</p>';
+        elements.dictionaryPopover.classList.add('open');
+        placeDictionaryPopover(rect);
+
+        try {
+            const result = await Dictionary.lookup(word);
+            elements.dictionaryWord.textContent = result.word;
+
+            if (result.entries.length) {
+                elements.dictionaryResults.innerHTML = result.entries.map(entry => `
+                    <div class="dictionary-entry">
+                        <span class="dictionary-entry-source">${escapeHtml(entry.dictionary)}</span>
+                        <div class="dictionary-definition">${escapeHtml(entry.definition)}</div>
+                    </div>
+                `).join('');
+            } else if (result.installed) {
+                elements.dictionaryResults.innerHTML = '<p class="dictionary-empty">Palavra não encontrada nos dicionários.</p>';
+            } else {
+                elements.dictionaryResults.innerHTML = `
+                    <div class="dictionary-empty">
+                        <p>Nenhum dicionário instalado.</p>
+                        <button class="btn-secondary" id="dictionary-popover-manage">Importar dicionário</button>
+                    </div>
+                `;
+                document.getElementById('dictionary-popover-manage').addEventListener('click', () => {
+                    closeDictionaryPopover();
+                    openDictionariesModal();
+                });
+            }
+            placeDictionaryPopover(rect);
+        } catch (error) {
+            console.error('Error looking up word:', error);
+            elements.dictionaryResults.innerHTML = '<p class="dictionary-empty">Erro ao consultar o dicionário.</p>';
+        }
+    }
+
+    // Below the word when there's room, above it otherwise
+    function placeDictionaryPopover(rect) {
+        const popover = elements.dictionaryPopover;
+        const margin = 8;
+        const left = rect.left + rect.width / 2 - popover.offsetWidth / 2;
+        const below = rect.bottom + margin;
+        const top = below + popover.offsetHeight <= window.innerHeight - margin
+            ? below
+            : rect.top - popover.offsetHeight - margin;
+
+        popover.style.left = `${Math.max(margin, Math.min(left, window.innerWidth - popover.offsetWidth - margin))}px`;
+        popover.style.top = `${Math.max(margin, top)}px`;
+    }
+
+    function closeDictionaryPopover() {
+        elements.dictionaryPopover.classList.remove('open');
+    }
+
+    async function openDictionariesModal() {
+        await renderDictionaryList();
+        elements.dictionariesModal.classList.add('open');
+    }
+
+    function closeDictionariesModal() {
+        elements.dictionariesModal.classList.remove('open');
+    }
+
+    async function renderDictionaryList() {
+        const dictionaries = await Storage.getDictionaries();
+
+        elements.dictionaryList.innerHTML = dictionaries.length === 0
+            ? '<p class="modal-hint">Nenhum dicionário instalado.</p>'
+            : dictionaries.map(dictionary => `
+                <div class="dictionary-list-item">
+                    <div>
+                        ${escapeHtml(dictionary.name)}
+                        <small>${dictionary.entryCount.toLocaleString('pt-BR')} palavras · importado em ${formatDate(dictionary.importedAt)}</small>
+                    </div>
+                    <button class="btn-icon-small" data-id="${dictionary.id}" title="Remover dicionário">🗑</button>
+                </div>
+            `).join('');
+
+        elements.dictionaryList.querySelectorAll('[data-id]').forEach(btn => {
+            btn.addEventListener('click', () => removeDictionary(btn.dataset.id));
+        });
+    }
+
+    async function removeDictionary(dictionaryId) {
+        if (!confirm('Remover este dicionário?')) return;
+        await Storage.deleteDictionary(dictionaryId);
+        await renderDictionaryList();
+    }
+
+    async function handleDictionaryUpload(e) {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (!files.length) return;
+
+        showLoading();
+
+        try {
+            await Dictionary.importFiles(files);
+            await renderDictionaryList();
+        } catch (error) {
+            console.error('Error importing dictionary:', error);
+            alert(`Erro ao importar o dicionário: ${error.message || error}`);
+        }
+
+        hideLoading();
+    }
+
+    // ==========================================
+    // Typography
+    // ==========================================
+
+    // Saved for every book; a book may keep its own settings (book.typography) on top
+    async function loadTypography() {
+        try {
+            typography = { ...PDFHandler.DEFAULT_TYPOGRAPHY, ...await Storage.getSetting('typography') };
+        } catch (e) {
+            typography = { ...PDFHandler.DEFAULT_TYPOGRAPHY };
+        }
+    }
+
+    // Apply changed settings, save them where they belong (the open book when it has
+    // its own) and re-paginate from the reading position, which stays on screen
+    async function updateTypography(changes) {
+        const settings = PDFHandler.setTypography(changes);
+
+        if (currentBook?.typography) {
+            currentBook.typography = settings;
+            Storage.updateBook(currentBook.id, { typography: settings }).catch(() => { });
+        } else {
+            typography = settings;
+            Storage.setSetting('typography', settings).catch(() => { });
+        }
+
+        await renderTypography();
+    }
+
+    async function renderTypography() {
+        if (currentBook && PDFHandler.getReadingMode() !== 'layout') {
+            await PDFHandler.renderTextContent(elements.pdfPages);
+        }
+        updateFontDisplay();
+        updateTypographyPanel();
+        updatePageIndicator();
+    }
+
+    function handleTypographyChange() {
+        updateTypography({
+            fontFamily: elements.typographyFont.value,
+            fontSize: parseInt(elements.typographySize.value),
+            lineHeight: parseFloat(elements.typographyLineHeight.value),
+            margin: parseInt(elements.typographyMargin.value),
+            textAlign: elements.typographyAlign.value,
+            paragraphIndent: parseFloat(elements.typographyIndent.value),
+            paragraphSpacing: parseFloat(elements.typographySpacing.value)
+        });
+    }
+
+    // Checked: the open book keeps its current settings apart from the others.
+    // Unchecked: it follows the settings saved for every book again
+    async function handleTypographyScopeChange() {
+        if (!currentBook) return;
+
+        if (elements.typographyBook.checked) {
+            currentBook.typography = PDFHandler.getTypography();
+        } else {
+            currentBook.typography = null;
+            PDFHandler.setTypography(typography);
+        }
+
+        Storage.updateBook(currentBook.id, { typography: currentBook.typography }).catch(() => { });
+        await renderTypography();
+    }
+
+    function toggleTypographyPanel() {
+        if (!elements.typographyPanel.classList.toggle('open')) return;
+        if (elements.searchPanel.classList.contains('open')) closeSearch();
+        updateTypographyPanel();
+    }
+
+    function closeTypographyPanel() {
+        elements.typographyPanel.classList.remove('open');
+    }
+
+    function updateTypographyPanel() {
+        const settings = PDFHandler.getTypography();
+        elements.typographyFont.value = settings.fontFamily;
+        elements.typographySize.value = settings.fontSize;
+        elements.typographyLineHeight.value = settings.lineHeight;
+        elements.typographyMargin.value = settings.margin;
+        elements.typographyAlign.value = settings.textAlign;
+        elements.typographyIndent.value = settings.paragraphIndent;
+        elements.typographySpacing.value = settings.paragraphSpacing;
+        elements.typographyBook.checked = Boolean(currentBook?.typography);
+        updateTypographyValues();
+    }
+
+    function updateTypographyValues() {
+        document.getElementById('typography-size-value').textContent = `${elements.typographySize.value}px`;
+        document.getElementById('typography-line-height-value').textContent = parseFloat(elements.typographyLineHeight.value).toFixed(1);
+        document.getElementById('typography-margin-value').textContent = `${elements.typographyMargin.value}px`;
+        document.getElementById('typography-indent-value').textContent = `${parseFloat(elements.typographyIndent.value).toFixed(1)}em`;
+        document.getElementById('typography-spacing-value').textContent = `${parseFloat(elements.typographySpacing.value).toFixed(1)}em`;
+    }
+
+    // ==========================================
+    // Read Aloud
+    // ==========================================
+
+    async function toggleReadAloudPanel() {
+        if (!elements.readAloudPanel.classList.toggle('open')) return;
+
+        const [voices, voice] = await Promise.all([ReadAloud.getVoices(), ReadAloud.getVoice()]);
+        elements.readAloudVoice.innerHTML = '';
+        voices.forEach(v => elements.readAloudVoice.add(new Option(`${v.name} (${v.lang})`, v.voiceURI)));
+        if (voice) elements.readAloudVoice.value = voice.voiceURI;
+
+        elements.readAloudRate.value = ReadAloud.getRate();
+        elements.readAloudPitch.value = ReadAloud.getPitch();
+        updateReadAloudValues();
+    }
+
+    function closeReadAloudPanel() {
+        elements.readAloudPanel.classList.remove('open');
+    }
+
+    function updateReadAloudValues() {
+        elements.readAloudRateValue.textContent = `${parseFloat(elements.readAloudRate.value).toFixed(1)}×`;
+        elements.readAloudPitchValue.textContent = parseFloat(elements.readAloudPitch.value).toFixed(1);
+    }
+
+    // Reading moved on (maybe to another page) or was paused, resumed or stopped
+    function handleReadAloudChange({ state }) {
+        elements.readAloudPlay.textContent = state === 'playing' ? '⏸ Pausar' : '▶ Ouvir';
+        elements.readAloudToggle.classList.toggle('active', state !== 'stopped');
+
+        const minutes = ReadAloud.getSleepMinutesLeft();
+        if (minutes === null) elements.readAloudSleep.value = '0';
+        const status = { playing: 'Lendo…', paused: 'Pausado', stopped: '' }[state];
+        elements.readAloudStatus.textContent = minutes !== null && state !== 'stopped'
+            ? `${status} · para em ${formatMinutes(minutes)}`
+            : status;
+
+        if (currentBook) updatePageIndicator();
+    }
+
+    // ==========================================
+    // Search
+    // ==========================================
+
+    function toggleSearch() {
+        if (elements.searchPanel.classList.contains('open')) {
+            closeSearch();
+        } else {
+            openSearch();
+        }
+    }
+
+    function openSearch() {
+        closeTypographyPanel();
+        elements.searchPanel.classList.add('open');
+        elements.searchInput.focus();
+        elements.searchInput.select();
+    }
+
+    function closeSearch() {
+        elements.searchPanel.classList.remove('open');
+        elements.searchInput.value = '';
+        elements.searchCount.textContent = '';
+        elements.searchResults.innerHTML = '';
+        Search.clear();
+        PDFHandler.clearDecorations('search');
+        if (currentBook) PDFHandler.renderTextContent(elements.pdfPages);
+    }
+
+    function handleSearchKeydown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (elements.searchInput.value.trim() !== Search.getLastQuery()) {
+                runSearch();
+            } else {
+                goToSearchResult(e.shiftKey ? Search.prev() : Search.next());
+            }
+        } else if (e.key === 'Escape') {
+            closeSearch();
+        }
+    }
+
+    function runSearch() {
+        const query = elements.searchInput.value.trim();
+        Search.find(query, {
+            ignoreCase: elements.searchIgnoreCase.checked,
+            ignoreAccents: elements.searchIgnoreAccents.checked
+        });
+
+        renderSearchResults();
+        goToSearchResult(Search.getCurrent());
+    }
+
+    function renderSearchResults() {
+        const results = Search.getResults();
+        const query = Search.getLastQuery();
+
+        if (results.length === 0) {
+            elements.searchCount.textContent = query ? 'Nenhum resultado' : '';
+            elements.searchResults.innerHTML = '';
+            return;
+        }
+
+        elements.searchResults.innerHTML = results.map((result, index) => `
+            <div class="search-result" data-index="${index}">
+                <span class="search-result-page">Página ${PDFHandler.findPageForOffset(result.start)}</span>
+                <span class="search-result-context">…${escapeHtml(result.before)}<mark>${escapeHtml(result.match)}</mark>${escapeHtml(result.after)}…</span>
+            </div>
+        `).join('');
+
+        elements.searchResults.querySelectorAll('.search-result').forEach(item => {
+            item.addEventListener('click', () => {
+                goToSearchResult(Search.select(parseInt(item.dataset.index)));
+            });
+        });
+    }
+
+    async function goToSearchResult(result) {
+        const results = Search.getResults();
+        const currentIndex = Search.getCurrentIndex();
+
+        PDFHandler.setDecorations('search', results.map((r, index) => ({
+            start: r.start,
+            end: r.end,
+            className: index === currentIndex ? 'search-match current' : 'search-match'
+        })));
+
+        const total = Search.isTruncated() ? `${results.length}+` : results.length;
+        if (results.length > 0) {
+            elements.searchCount.textContent = `${currentIndex + 1} de ${total}`;
+        }
+
+        elements.searchResults.querySelectorAll('.search-result').forEach(item => {
+            const active = parseInt(item.dataset.index) === currentIndex;
+            item.classList.toggle('active', active);
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (!result) {
+            await PDFHandler.renderTextContent(elements.pdfPages);
+            return;
+        }
+
+        const page = PDFHandler.findPageForOffset(result.start);
+        await PDFHandler.goToPage(page !== -1 ? page : PDFHandler.getCurrentPage(), elements.pdfPages);
+        if (PDFHandler.getReadingMode() === 'scroll') {
+            elements.pdfPages.querySelector('mark.search-match.current')?.scrollIntoView({ block: 'center' });
+        }
+        updatePageIndicator();
+    }
+
     // ==========================================
     // Sidebar, Bookmarks & Notes
     // ==========================================
@@ -409,14 +1409,106 @@ const App = (() => {
         });
     }
 
-    async function loadBookmarksAndNotes() {
+    function renderToc() {
+        const toc = PDFHandler.getToc();
+        if (toc.length === 0) {
+            elements.tocList.innerHTML = `
+                <div class="empty-sidebar">
+                    <p>Nenhum capítulo encontrado</p>
+                    <small>Este PDF não tem sumário nem títulos reconhecíveis</small>
+                </div>`;
+            updateCurrentChapter();
+            return;
+        }
+
+        const entries = [];
+        const renderEntries = (items) => `<ul>${items.map(entry => {
+            const index = entries.push(entry) - 1;
+            return `
+                <li>
+                    <div class="toc-entry ${entry.offset === null ? 'disabled' : ''}" data-index="${index}" data-offset="${entry.offset ?? -1}">
+                        <span class="toc-title">${escapeHtml(entry.title)}</span>
+                        ${entry.pdfPage ? `<span class="toc-page">${entry.pdfPage}</span>` : ''}
+                    </div>
+                    ${entry.items.length ? renderEntries(entry.items) : ''}
+                </li>`;
+        }).join('')}</ul>`;
+
+        const source = PDFHandler.getTocSource() === 'outline'
+            ? 'Sumário do PDF'
+            : 'Gerado a partir dos títulos do texto';
+        elements.tocList.innerHTML = `<p class="toc-source">${source}</p>${renderEntries(toc)}`;
+        elements.tocList.querySelector('ul').classList.add('toc-list');
+
+        elements.tocList.querySelectorAll('.toc-entry:not(.disabled)').forEach(item => {
+            item.addEventListener('click', () => goToTocEntry(entries[item.dataset.index]));
+        });
+
+        updateCurrentChapter();
+    }
+
+    // Whether an annotation's offsets point into the text as it's extracted now
+    function isAnchored(annotation) {
+        return annotation.textVersion === PDFHandler.getTextVersion();
+    }
+
+    // Annotations saved against another version of the book's text (older extraction
+    // code, another OCR language) are found again by their text. Those that can't be
+    // found keep their old offsets and stay unpainted. Returns whether any moved
+    async function reanchorAnnotations(bookId) {
+        const [bookmarks, notes, highlights] = await Promise.all([
+            Storage.getBookmarks(bookId),
+            Storage.getNotes(bookId),
+            Storage.getHighlights(bookId)
+        ]);
+        // Bookmarks and notes without an offset (unanchored clippings) have nothing to find
+        const staleMarks = (records) => records.filter(record => !isAnchored(record) && record.globalOffset >= 0 && record.contentSnippet);
+        const staleBookmarks = staleMarks(bookmarks);
+        const staleNotes = staleMarks(notes);
+        const staleHighlights = highlights.filter(highlight => !isAnchored(highlight));
+        if (!staleBookmarks.length && !staleNotes.length && !staleHighlights.length) return false;
+
+        const textVersion = PDFHandler.getTextVersion();
+        const haystack = Search.normalize(PDFHandler.getFullText(), { collapseWhitespace: true });
+        let moved = false;
+
+        for (const highlight of staleHighlights) {
+            const found = Search.locate(haystack, highlight.text, highlight.start);
+            if (!found) continue;
+            await Storage.updateHighlight(highlight.id, { start: found.start, end: found.end, textVersion });
+            moved = true;
+        }
+
+        for (const [records, update] of [[staleBookmarks, Storage.updateBookmark], [staleNotes, Storage.updateNote]]) {
+            for (const record of records) {
+                const found = Search.locate(haystack, record.contentSnippet, record.globalOffset);
+                if (!found) continue;
+                await update(record.id, { globalOffset: found.start, textVersion });
+                moved = true;
+            }
+        }
+
+        return moved;
+    }
+
+    async function loadAnnotations() {
         if (!currentBook) return;
 
         const bookmarks = await Storage.getBookmarks(currentBook.id);
         const notes = await Storage.getNotes(currentBook.id);
+        const highlights = await Storage.getHighlights(currentBook.id);
 
         renderBookmarks(bookmarks);
         renderNotes(notes);
+        renderHighlights(highlights);
+
+        PDFHandler.setDecorations('highlights', highlights.filter(isAnchored).map(h => ({
+            start: h.start,
+            end: h.end,
+            className: `highlight highlight-${h.color}`,
+            id: h.id
+        })));
+        await PDFHandler.renderTextContent(elements.pdfPages);
     }
 
     function renderBookmarks(bookmarks) {
@@ -430,7 +1522,7 @@ const App = (() => {
         }
 
         elements.bookmarksList.innerHTML = bookmarks.map(bm => `
-            <div class="bookmark-item" data-id="${bm.id}" data-page="${bm.page}" data-snippet="${(bm.contentSnippet || '').replace(/"/g, '&quot;')}" data-offset="${bm.globalOffset || -1}">
+            <div class="bookmark-item" data-id="${bm.id}" data-page="${bm.page}" data-snippet="${escapeHtml(bm.contentSnippet || '')}" data-offset="${isAnchored(bm) ? bm.globalOffset : -1}">
                 <span class="bookmark-icon">🔖</span>
                 <div class="bookmark-info">
                     <span class="bookmark-page">Página ${bm.page}</span>
@@ -462,7 +1554,7 @@ const App = (() => {
             item.querySelector('.item-delete').addEventListener('click', async (e) => {
                 e.stopPropagation();
                 await Storage.deleteBookmark(item.dataset.id);
-                await loadBookmarksAndNotes();
+                await loadAnnotations();
             });
         });
     }
@@ -477,11 +1569,11 @@ const App = (() => {
         }
 
         elements.notesList.innerHTML = notes.map(note => `
-            <div class="note-item" data-id="${note.id}" data-page="${note.page}" data-snippet="${(note.contentSnippet || '').replace(/"/g, '&quot;')}" data-offset="${note.globalOffset || -1}">
+            <div class="note-item" data-id="${note.id}" data-page="${note.page ?? ''}" data-snippet="${escapeHtml(note.contentSnippet || '')}" data-offset="${isAnchored(note) ? note.globalOffset : -1}">
                 <span class="note-icon">📝</span>
                 <div class="note-info">
-                    <span class="note-page">Página ${note.page}</span>
-                    <p class="note-text">${note.text}</p>
+                    <span class="note-page">${note.page ? `Página ${note.page}` : 'Sem página'}</span>
+                    <p class="note-text">${escapeHtml(note.text)}</p>
                     <span class="note-date">${formatDate(note.createdAt)}</span>
                 </div>
                 <button class="item-delete">×</button>
@@ -503,6 +1595,9 @@ const App = (() => {
                         if (foundPage !== -1) targetPage = foundPage;
                     }
 
+                    // Imported notes whose text wasn't found have nowhere to go
+                    if (isNaN(targetPage)) return;
+
                     PDFHandler.goToPage(targetPage, elements.pdfPages);
                     updatePageIndicator();
                 }
@@ -510,11 +1605,112 @@ const App = (() => {
             item.querySelector('.item-delete').addEventListener('click', async (e) => {
                 e.stopPropagation();
                 await Storage.deleteNote(item.dataset.id);
-                await loadBookmarksAndNotes();
+                await loadAnnotations();
             });
         });
     }
 
+    function renderHighlights(highlights) {
+        if (highlights.length === 0) {
+            elements.highlightsList.innerHTML = `
+                <div class="empty-sidebar">
+                    <p>Nenhum destaque ainda</p>
+                    <small>Selecione um trecho do texto para destacar</small>
+                </div>`;
+            return;
+        }
+
+        elements.highlightsList.innerHTML = highlights.map(hl => `
+            <div class="highlight-item" data-id="${hl.id}">
+                <span class="highlight-swatch highlight-${hl.color}"></span>
+                <div class="highlight-info">
+                    <span class="highlight-page">Página ${isAnchored(hl) ? PDFHandler.findPageForOffset(hl.start) : hl.page}</span>
+                    <p class="highlight-text">${escapeHtml(hl.text)}</p>
+                    <span class="highlight-date">${formatDate(hl.createdAt)}</span>
+                </div>
+                <button class="item-delete">×</button>
+            </div>
+        `).join('');
+
+        elements.highlightsList.querySelectorAll('.highlight-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (!e.target.classList.contains('item-delete')) {
+                    const highlight = highlights.find(hl => hl.id === item.dataset.id);
+                    const page = isAnchored(highlight)
+                        ? PDFHandler.findPageForOffset(highlight.start)
+                        : PDFHandler.findPageForContent(highlight.text);
+                    if (page !== -1) {
+                        PDFHandler.goToPage(page, elements.pdfPages);
+                        updatePageIndicator();
+                    }
+                }
+            });
+            item.querySelector('.item-delete').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await Storage.deleteHighlight(item.dataset.id);
+                await loadAnnotations();
+            });
+        });
+    }
+
+    // Show the color toolbar over a fresh text selection
+    function handleTextSelection() {
+        // Let the browser finish updating the selection first
+        setTimeout(() => {
+            const selection = PDFHandler.getSelectionOffsets(elements.pdfPages);
+            if (!selection) return;
+
+            pendingSelection = selection;
+            editingHighlightId = null;
+            showHighlightToolbar(selection.rect);
+        }, 0);
+    }
+
+    // Open the toolbar for an existing highlight mark
+    function handleHighlightClick(e) {
+        const mark = e.target.closest('mark.highlight');
+        if (!mark || !window.getSelection().isCollapsed) return;
+
+        pendingSelection = null;
+        editingHighlightId = mark.dataset.id;
+        showHighlightToolbar(mark.getBoundingClientRect());
+    }
+
+    function showHighlightToolbar(rect) {
+        elements.highlightToolbar.style.left = `${rect.left + rect.width / 2}px`;
+        elements.highlightToolbar.style.top = `${Math.max(rect.top - 8, 48)}px`;
+        elements.highlightToolbar.classList.toggle('editing', editingHighlightId !== null);
+        elements.highlightToolbar.classList.add('open');
+    }
+
+    function hideHighlightToolbar() {
+        elements.highlightToolbar.classList.remove('open');
+        pendingSelection = null;
+        editingHighlightId = null;
+    }
+
+    async function applyHighlightColor(color) {
+        if (!currentBook) return;
+
+        if (editingHighlightId) {
+            await Storage.updateHighlight(editingHighlightId, { color });
+        } else if (pendingSelection) {
+            const { start, end, text } = pendingSelection;
+            await Storage.addHighlight(currentBook.id, start, end, text, color, PDFHandler.getCurrentPage(), PDFHandler.getTextVersion());
+            window.getSelection().removeAllRanges();
+        }
+
+        hideHighlightToolbar();
+        await loadAnnotations();
+    }
+
+    async function removeEditingHighlight() {
+        if (!editingHighlightId) return;
+        await Storage.deleteHighlight(editingHighlightId);
+        hideHighlightToolbar();
+        await loadAnnotations();
+    }
+
     async function openBookmarkSidebar() {
         if (!currentBook) return;
         elements.sidebar.classList.add('open');
@@ -527,8 +1723,8 @@ const App = (() => {
         const page = PDFHandler.getCurrentPage();
         const snippet = PDFHandler.getCurrentPageContentSnippet();
         const offset = PDFHandler.getCurrentPageOffset();
-        await Storage.addBookmark(currentBook.id, page, snippet, offset);
-        await loadBookmarksAndNotes();
+        await Storage.addBookmark(currentBook.id, page, snippet, offset, PDFHandler.getTextVersion());
+        await loadAnnotations();
     }
 
     function openNoteModal() {
@@ -550,13 +1746,331 @@ const App = (() => {
         const page = PDFHandler.getCurrentPage();
         const snippet = PDFHandler.getCurrentPageContentSnippet();
         const offset = PDFHandler.getCurrentPageOffset();
-        await Storage.addNote(currentBook.id, page, text, snippet, offset);
+        await Storage.addNote(currentBook.id, page, text, snippet, offset, new Date().toISOString(), PDFHandler.getTextVersion());
         closeNoteModal();
-        await loadBookmarksAndNotes();
+        await loadAnnotations();
         elements.sidebar.classList.add('open');
         switchTab('notes');
     }
 
+    // ==========================================
+    // Export
+    // ==========================================
+
+    function openExportModal(scope) {
+        if (scope === 'book' && !currentBook) return;
+
+        exportScope = scope;
+        elements.exportScope.textContent = scope === 'book'
+            ? `Marcadores, notas e destaques de "${currentBook.title}".`
+            : 'Marcadores, notas e destaques de todos os livros da biblioteca.';
+        updateExportOptions();
+        elements.exportModal.classList.add('open');
+    }
+
+    function closeExportModal() {
+        elements.exportModal.classList.remove('open');
+    }
+
+    // Chapter grouping needs the open book's text, and only applies to Markdown
+    function updateExportOptions() {
+        const format = document.querySelector('input[name="export-format"]:checked').value;
+        elements.exportGroupOptions.style.display =
+            exportScope === 'book' && format === 'markdown' ? 'block' : 'none';
+    }
+
+    async function handleExport() {
+        const format = document.querySelector('input[name="export-format"]:checked').value;
+        const groupBy = document.querySelector('input[name="export-group"]:checked').value;
+
+        try {
+            let books;
+            let filename;
+
+            if (exportScope === 'book') {
+                const book = await Exporter.collectBook(currentBook);
+                if (groupBy === 'chapter') {
+                    book.entries.forEach(entry => {
+                        entry.chapter = PDFHandler.getChapterForOffset(entry.offset);
+                    });
+                }
+                books = [book];
+                filename = `${Exporter.sanitizeFilename(currentBook.title)} - anotacoes`;
+            } else {
+                books = await Exporter.collectLibrary();
+                filename = 'kindlepdf-anotacoes';
+            }
+
+            if (books.every(book => book.entries.length === 0)) {
+                alert('Nenhuma anotação para exportar.');
+                return;
+            }
+
+            Exporter.exportBooks(books, format, {
+                groupBy: exportScope === 'book' ? groupBy : 'page',
+                filename
+            });
+            closeExportModal();
+        } catch (error) {
+            console.error('Error exporting annotations:', error);
+            alert('Erro ao exportar as anotações.');
+        }
+    }
+
+    // ==========================================
+    // Backup & Restore
+    // ==========================================
+
+    async function handleBackup() {
+        showLoading();
+
+        try {
+            const archive = await Backup.createBackup();
+            Exporter.download(Backup.getBackupFilename(), archive);
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            alert('Erro ao criar o backup.');
+        }
+
+        hideLoading();
+    }
+
+    async function handleRestoreUpload(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        showLoading();
+
+        try {
+            pendingBackup = await Backup.readBackup(file);
+            const { counts, createdAt } = pendingBackup.manifest;
+            elements.restoreInfo.textContent =
+                `Backup de ${formatDate(createdAt)}: ${counts.books || 0} livro(s), ` +
+                `${(counts.bookmarks || 0) + (counts.notes || 0) + (counts.highlights || 0)} anotação(ões).`;
+            elements.restoreModal.classList.add('open');
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            alert(`Erro ao ler o backup: ${error.message || error}`);
+        }
+
+        hideLoading();
+    }
+
+    function closeRestoreModal() {
+        elements.restoreModal.classList.remove('open');
+        pendingBackup = null;
+    }
+
+    async function handleRestore() {
+        if (!pendingBackup) return;
+
+        const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+        if (mode === 'replace' && !confirm('Todos os livros e anotações atuais serão apagados. Continuar?')) return;
+
+        const backup = pendingBackup;
+        closeRestoreModal();
+        showLoading();
+
+        try {
+            const summary = await Backup.restoreBackup(backup, mode);
+            await loadLibrary();
+            hideLoading();
+            alert(
+                `Backup restaurado: ${summary.booksAdded} livro(s) adicionado(s)` +
+                (summary.booksSkipped ? `, ${summary.booksSkipped} já existente(s)` : '') +
+                `, ${summary.annotationsAdded} anotação(ões) adicionada(s).`
+            );
+        } catch (error) {
+            hideLoading();
+            console.error('Error restoring backup:', error);
+            alert(`Erro ao restaurar o backup: ${error.message || error}`);
+        }
+    }
+
+    // ==========================================
+    // Kindle Import
+    // ==========================================
+
+    async function handleClippingsUpload(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const clippings = Importer.parseClippings(await file.text());
+        if (clippings.length === 0) {
+            alert('Nenhum destaque ou nota encontrado neste arquivo.');
+            return;
+        }
+
+        showLoading();
+
+        try {
+            const books = await Storage.getAllBooks();
+            const { matched, unmatched } = Importer.groupByBook(clippings, books);
+            const results = [];
+
+            for (const group of matched) {
+                const result = await Importer.importIntoBook(group.book.id, group.clippings);
+                results.push({ title: group.book.title, ...result });
+            }
+
+            hideLoading();
+            showImportReview(results, unmatched, books);
+        } catch (error) {
+            hideLoading();
+            console.error('Error importing clippings:', error);
+            alert('Erro ao importar as anotações do Kindle.');
+        }
+    }
+
+    function showImportReview(results, unmatched, books) {
+        elements.importSummary.innerHTML = results.length === 0
+            ? '<p>Nenhum livro da biblioteca corresponde aos títulos do arquivo.</p>'
+            : results.map(result => `
+                <p>
+                    <strong>${escapeHtml(result.title)}</strong>: ${result.imported} nota(s) importada(s)
+                    ${result.duplicates ? `, ${result.duplicates} já existente(s)` : ''}
+                    ${result.unanchored.length ? `, ${result.unanchored.length} sem trecho localizado no texto` : ''}
+                </p>
+            `).join('');
+
+        if (unmatched.length === 0) {
+            elements.importReview.innerHTML = '';
+        } else {
+            const options = books.map(book => `<option value="${book.id}">${escapeHtml(book.title)}</option>`).join('');
+
+            elements.importReview.innerHTML = `
+                <p class="import-review-hint">Estes títulos não correspondem a nenhum livro. Escolha o livro de destino:</p>
+                ${unmatched.map((group, index) => `
+                    <div class="import-group" data-index="${index}">
+                        <h4>${escapeHtml(group.title)}</h4>
+                        <small>${group.clippings.length} anotação(ões)</small>
+                        <div class="import-group-actions">
+                            <select>
+                                <option value="">Ignorar</option>
+                                ${options}
+                            </select>
+                            <button class="btn-secondary">Importar</button>
+                        </div>
+                    </div>
+                `).join('')}`;
+
+            elements.importReview.querySelectorAll('.import-group').forEach(item => {
+                const group = unmatched[parseInt(item.dataset.index)];
+                const select = item.querySelector('select');
+                const button = item.querySelector('button');
+
+                button.addEventListener('click', async () => {
+                    if (!select.value) return;
+                    button.disabled = true;
+                    showLoading();
+                    try {
+                        const result = await Importer.importIntoBook(select.value, group.clippings);
+                        item.classList.add('done');
+                        item.querySelector('small').textContent =
+                            `${result.imported} nota(s) importada(s) em "${select.selectedOptions[0].textContent}"`;
+                        select.disabled = true;
+                    } catch (error) {
+                        console.error('Error importing clippings:', error);
+                        button.disabled = false;
+                        alert('Erro ao importar as anotações do Kindle.');
+                    }
+                    hideLoading();
+                });
+            });
+        }
+
+        elements.importModal.classList.add('open');
+    }
+
+    function closeImportModal() {
+        elements.importModal.classList.remove('open');
+    }
+
+    // ==========================================
+    // Reading Stats
+    // ==========================================
+
+    async function openStatsModal(bookId = null) {
+        try {
+            const [stats, books] = await Promise.all([Stats.getStats(bookId), Storage.getAllBooks()]);
+            const titles = new Map(books.map(book => [book.id, book.title]));
+
+            elements.statsTitle.textContent = bookId
+                ? `Estatísticas — ${titles.get(bookId) || 'Livro'}`
+                : 'Estatísticas da Biblioteca';
+            elements.statsBody.innerHTML = stats.sessionCount === 0
+                ? '<p class="modal-hint">Nenhuma sessão de leitura registrada ainda.</p>'
+                : renderStats(stats, titles);
+            elements.statsModal.classList.add('open');
+        } catch (error) {
+            console.error('Error loading reading stats:', error);
+            alert('Erro ao carregar as estatísticas.');
+        }
+    }
+
+    function closeStatsModal() {
+        elements.statsModal.classList.remove('open');
+    }
+
+    function renderStats(stats, titles) {
+        const maxMs = Math.max(...stats.days.map(day => day.ms), 1);
+
+        const chart = stats.days.map(day => `
+            <div class="stats-chart-day" title="${day.date.toLocaleDateString('pt-BR')}: ${formatMinutes(day.ms / 60000)}">
+                <div class="stats-chart-bar" style="height: ${(day.ms / maxMs) * 100}%"></div>
+                <span class="stats-chart-label">${day.date.getDate()}</span>
+            </div>
+        `).join('');
+
+        // Library: one row per book; book: its latest sessions
+        const details = stats.books
+            ? `<div class="stats-section">
+                    <h4>Livros</h4>
+                    ${stats.books.map(book => `
+                        <div class="stats-row">
+                            <span>${escapeHtml(titles.get(book.bookId) || 'Livro removido')}</span>
+                            <small>${formatMinutes(book.totalMs / 60000)} · ${formatForecast(book.forecast)}</small>
+                        </div>
+                    `).join('')}
+               </div>`
+            : `<div class="stats-section">
+                    <h4>Previsão de término</h4>
+                    <p class="modal-hint">${formatForecast(stats.forecast)}</p>
+               </div>
+               <div class="stats-section">
+                    <h4>Sessões recentes</h4>
+                    ${stats.recent.map(session => `
+                        <div class="stats-row">
+                            <span>${new Date(session.startedAt).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</span>
+                            <small>${formatMinutes(session.duration / 60000)} · ${session.pages} páginas</small>
+                        </div>
+                    `).join('')}
+               </div>`;
+
+        return `
+            <div class="stats-cards">
+                <div class="stats-card"><strong>${formatMinutes(stats.totalMs / 60000)}</strong><span>tempo de leitura</span></div>
+                <div class="stats-card"><strong>${stats.sessionCount}</strong><span>sessões</span></div>
+                <div class="stats-card"><strong>${stats.pagesPerSession.toFixed(1)}</strong><span>páginas por sessão</span></div>
+                <div class="stats-card"><strong>${stats.wpm ? stats.wpm : '—'}</strong><span>palavras por minuto</span></div>
+            </div>
+            <div class="stats-section">
+                <h4>Tempo de leitura por dia</h4>
+                <div class="stats-chart">${chart}</div>
+            </div>
+            ${details}
+        `;
+    }
+
+    function formatForecast(forecast) {
+        if (!forecast) return 'Sem previsão';
+        if (forecast.minutesLeft === 0) return 'Livro concluído';
+        if (!forecast.date) return `Faltam ${formatMinutes(forecast.minutesLeft)} de leitura`;
+        return `Término previsto para ${forecast.date.toLocaleDateString('pt-BR')} (faltam ${formatMinutes(forecast.minutesLeft)})`;
+    }
+
     // ==========================================
     // Utilities
     // ==========================================
@@ -582,7 +2096,25 @@ const App = (() => {
         }
     }
 
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function formatMinutes(minutes) {
+        if (minutes < 1) return 'menos de 1 min';
+        const total = Math.round(minutes);
+        if (total < 60) return `${total} min`;
+        const hours = Math.floor(total / 60);
+        const rest = total % 60;
+        return rest ? `${hours} h ${rest} min` : `${hours} h`;
+    }
+
     function formatDate(isoString) {
+        if (!isoString) return 'sem data';
         const date = new Date(isoString);
         return date.toLocaleDateString('pt-BR', { day: '2-digit', month: 'short' });
     }
@@ -0,0 +1,178 @@
+/**
+ * KindlePDF - Archive Module
+ * Minimal ZIP writer/reader (no external dependencies)
+ * Writes uncompressed ("stored") entries; reads stored and deflated entries.
+ * ZIP64 is not supported, so entries and archives are limited to 4 GB.
+ */
+
+const Archive = (() => {
+    const LOCAL_HEADER_SIG = 0x04034b50;
+    const CENTRAL_HEADER_SIG = 0x02014b50;
+    const END_OF_CENTRAL_DIR_SIG = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    // CRC-32 lookup table
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function toBytes(data) {
+        if (typeof data === 'string') return encoder.encode(data);
+        if (data instanceof Uint8Array) return data;
+        return new Uint8Array(data);
+    }
+
+    // Date -> [time, date] in MS-DOS format
+    function dosDateTime(date) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return [time, day];
+    }
+
+    // ==========================================
+    // Writing
+    // ==========================================
+
+    // entries: [{ name, data: string | ArrayBuffer | Uint8Array }] -> Blob
+    function createZip(entries) {
+        const parts = [];
+        const centralParts = [];
+        const [time, date] = dosDateTime(new Date());
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const data = toBytes(entry.data);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_HEADER_SIG, true);
+            local.setUint16(4, 20, true); // version needed
+            local.setUint16(6, UTF8_FLAG, true);
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_HEADER_SIG, true);
+            central.setUint16(4, 20, true); // version made by
+            central.setUint16(6, 20, true); // version needed
+            central.setUint16(8, UTF8_FLAG, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            parts.push(local, name, data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIR_SIG, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    // ==========================================
+    // Reading
+    // ==========================================
+
+    // ArrayBuffer -> Map(name -> Uint8Array)
+    async function readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // The end of central directory record sits in the last 64 KB + 22 bytes
+        let endOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === END_OF_CENTRAL_DIR_SIG) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) throw new Error('Arquivo ZIP inválido');
+
+        const count = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const files = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pointer, true) !== CENTRAL_HEADER_SIG) throw new Error('Arquivo ZIP corrompido');
+
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (!name.endsWith('/')) {
+                files.set(name, await decompress(raw, method));
+            }
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    async function decompress(raw, method) {
+        if (method === 0) return raw;
+        if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        throw new Error(`Método de compressão não suportado: ${method}`);
+    }
+
+    function readText(bytes) {
+        return decoder.decode(bytes);
+    }
+
+    return {
+        createZip,
+        readZip,
+        readText,
+        crc32
+    };
+})();
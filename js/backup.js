@@ -0,0 +1,264 @@
+/**
+ * KindlePDF - Backup Module
+ * Backs up the whole library to a single ZIP archive and restores it
+ *
+ * Archive layout:
+ *   manifest.json        - app, format version, counts and the book -> file maps
+ *   data/<store>.json    - records of each store (books without their PDF data)
+ *   books/<id>.pdf       - PDF binaries
+ *   covers/<id>.jpg      - cover thumbnails (older backups keep them in the book records)
+ */
+
+const Backup = (() => {
+    const FORMAT_VERSION = 1;
+    const ANNOTATION_STORES = ['bookmarks', 'notes', 'highlights'];
+    const BOOK_STORES = [...ANNOTATION_STORES, 'sessions']; // Records tied to a book by bookId
+
+    // Types of the fields each record must have ('number?' allows null, e.g. imported notes
+    // without a page). The rest of the app relies on them, so a backup breaking them is refused
+    const RECORD_FIELDS = {
+        books: { id: 'string', title: 'string', totalPages: 'number' },
+        collections: { id: 'string', name: 'string' },
+        bookmarks: { id: 'string', bookId: 'string', page: 'number' },
+        notes: { id: 'string', bookId: 'string', page: 'number?', text: 'string' },
+        highlights: { id: 'string', bookId: 'string', page: 'number', text: 'string' },
+        sessions: { id: 'string', bookId: 'string' },
+        settings: { key: 'string' }
+    };
+
+    // ==========================================
+    // Backup
+    // ==========================================
+
+    async function createBackup() {
+        const entries = [];
+        const stores = {};
+        const bookFiles = {};
+        const coverFiles = {};
+
+        for (const storeName of Storage.STORES) {
+            stores[storeName] = await Storage.getAllRecords(storeName);
+        }
+
+        const covers = await Storage.getCovers();
+        for (const book of stores.books) {
+            const file = `books/${book.id}.pdf`;
+            bookFiles[book.id] = file;
+            entries.push({ name: file, data: await Storage.getBookData(book.id) });
+
+            const cover = covers.get(book.id);
+            if (cover) {
+                const coverFile = `covers/${book.id}.${cover.type === 'image/png' ? 'png' : 'jpg'}`;
+                coverFiles[book.id] = coverFile;
+                entries.push({ name: coverFile, data: new Uint8Array(await cover.arrayBuffer()) });
+            }
+        }
+
+        const manifest = {
+            app: 'KindlePDF',
+            format: FORMAT_VERSION,
+            dbVersion: Storage.DB_VERSION,
+            createdAt: new Date().toISOString(),
+            counts: Object.fromEntries(Object.entries(stores).map(([name, records]) => [name, records.length])),
+            books: bookFiles,
+            covers: coverFiles
+        };
+
+        entries.unshift(
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+            ...Object.entries(stores).map(([name, records]) => ({
+                name: `data/${name}.json`,
+                data: JSON.stringify(records)
+            }))
+        );
+
+        return Archive.createZip(entries);
+    }
+
+    function getBackupFilename() {
+        return `kindlepdf-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+    }
+
+    // ==========================================
+    // Restore
+    // ==========================================
+
+    // Read and validate an archive. Returns { manifest, stores }
+    async function readBackup(file) {
+        const files = await Archive.readZip(await file.arrayBuffer());
+        const manifestBytes = files.get('manifest.json');
+        if (!manifestBytes) throw new Error('O arquivo não é um backup do KindlePDF.');
+
+        const manifest = JSON.parse(Archive.readText(manifestBytes));
+        if (manifest.app !== 'KindlePDF') throw new Error('O arquivo não é um backup do KindlePDF.');
+        if (manifest.format > FORMAT_VERSION) {
+            throw new Error('Este backup foi criado por uma versão mais recente do KindlePDF.');
+        }
+
+        const stores = {};
+        for (const storeName of Storage.STORES) {
+            const bytes = files.get(`data/${storeName}.json`);
+            stores[storeName] = bytes ? JSON.parse(Archive.readText(bytes)) : [];
+            validateRecords(storeName, stores[storeName]);
+        }
+
+        stores.books = stores.books.map(book => {
+            const bytes = files.get(manifest.books[book.id]);
+            if (!bytes) throw new Error(`PDF ausente no backup: ${book.title}`);
+
+            const coverFile = manifest.covers?.[book.id];
+            const coverBytes = coverFile && files.get(coverFile);
+            const cover = coverBytes ? new Blob([coverBytes], { type: coverFile.endsWith('.png') ? 'image/png' : 'image/jpeg' }) : undefined;
+
+            return { ...book, data: bytes.slice().buffer, ...(cover && { cover }) };
+        });
+
+        return { manifest, stores };
+    }
+
+    function validateRecords(storeName, records) {
+        if (!Array.isArray(records)) throw new Error(`Backup danificado: data/${storeName}.json não é uma lista.`);
+
+        const fields = Object.entries(RECORD_FIELDS[storeName] || {});
+        records.forEach((record, index) => {
+            const where = `item ${index + 1} de data/${storeName}.json`;
+            if (!record || typeof record !== 'object') throw new Error(`Backup danificado: o ${where} não é um registro.`);
+
+            const invalid = fields.find(([field, type]) => !hasType(record[field], type));
+            if (invalid) throw new Error(`Backup danificado: campo "${invalid[0]}" inválido no ${where}.`);
+        });
+    }
+
+    function hasType(value, type) {
+        if (type === 'number?' && value === null) return true;
+        if (type.startsWith('number')) return Number.isFinite(value);
+        return typeof value === type;
+    }
+
+    // mode: 'replace' wipes the library first; 'merge' adds what is missing
+    async function restoreBackup({ stores }, mode = 'merge') {
+        if (mode === 'replace') {
+            await Storage.putRecords(stores, { clear: true });
+            return {
+                booksAdded: stores.books.length,
+                booksSkipped: 0,
+                annotationsAdded: ANNOTATION_STORES.reduce((sum, name) => sum + stores[name].length, 0),
+                annotationsSkipped: 0
+            };
+        }
+
+        return mergeBackup(stores);
+    }
+
+    async function mergeBackup(stores) {
+        const existing = {};
+        for (const storeName of Storage.STORES) {
+            existing[storeName] = await Storage.getAllRecords(storeName);
+        }
+
+        const summary = { booksAdded: 0, booksSkipped: 0, annotationsAdded: 0, annotationsSkipped: 0 };
+        const toWrite = Object.fromEntries(Storage.STORES.map(name => [name, []]));
+        const bookIdMap = new Map(); // backup book id -> id in this library
+        const collectionIdMap = new Map(); // backup collection id -> id in this library
+
+        // Collections: reuse one with the same name, otherwise add it
+        const collectionIds = new Set(existing.collections.map(collection => collection.id));
+        stores.collections.forEach(collection => {
+            const match = existing.collections.find(current => current.name === collection.name);
+            if (match) {
+                collectionIdMap.set(collection.id, match.id);
+                return;
+            }
+
+            const id = collectionIds.has(collection.id) ? Storage.generateId() : collection.id;
+            collectionIds.add(id);
+            collectionIdMap.set(collection.id, id);
+            toWrite.collections.push({ ...collection, id });
+        });
+
+        // Books: reuse a matching book, otherwise add it (with a fresh id on collision)
+        const bookIds = new Set(existing.books.map(book => book.id));
+        stores.books.forEach(book => {
+            const match = existing.books.find(current => current.id === book.id && isSameBook(current, book))
+                || existing.books.find(current => isSameBook(current, book));
+
+            if (match) {
+                bookIdMap.set(book.id, match.id);
+                summary.booksSkipped++;
+
+                // Keep whichever reading position is more recent
+                if (book.lastReadAt && (!match.lastReadAt || book.lastReadAt > match.lastReadAt)) {
+                    toWrite.books.push({
+                        ...match,
+                        currentPage: book.currentPage,
+                        positionOffset: book.positionOffset ?? null,
+                        positionSnippet: book.positionSnippet ?? null,
+                        positionTextVersion: book.positionTextVersion ?? null,
+                        lastReadAt: book.lastReadAt
+                    });
+                }
+                return;
+            }
+
+            const id = bookIds.has(book.id) ? Storage.generateId() : book.id;
+            bookIds.add(id);
+            bookIdMap.set(book.id, id);
+            const collections = (book.collections || []).map(collectionId => collectionIdMap.get(collectionId)).filter(Boolean);
+            toWrite.books.push({ ...book, id, collections });
+            summary.booksAdded++;
+        });
+
+        // Annotations and reading sessions: follow their book's id, skip exact duplicates
+        BOOK_STORES.forEach(storeName => {
+            const counted = ANNOTATION_STORES.includes(storeName);
+            const ids = new Set(existing[storeName].map(record => record.id));
+            const signatures = new Set(existing[storeName].map(annotationSignature));
+
+            stores[storeName].forEach(record => {
+                const bookId = bookIdMap.get(record.bookId);
+                if (!bookId) return; // Orphaned annotation
+
+                const remapped = { ...record, bookId };
+                const signature = annotationSignature(remapped);
+                if (signatures.has(signature)) {
+                    if (counted) summary.annotationsSkipped++;
+                    return;
+                }
+
+                if (ids.has(remapped.id)) remapped.id = Storage.generateId();
+                ids.add(remapped.id);
+                signatures.add(signature);
+                toWrite[storeName].push(remapped);
+                if (counted) summary.annotationsAdded++;
+            });
+        });
+
+        // Settings: the current library's values win
+        const settingKeys = new Set(existing.settings.map(setting => setting.key));
+        toWrite.settings = stores.settings.filter(setting => !settingKeys.has(setting.key));
+
+        await Storage.putRecords(toWrite);
+        return summary;
+    }
+
+    // Book records in the library keep only the size of their PDF
+    function isSameBook(a, b) {
+        const size = (book) => book.fileSize ?? book.data?.byteLength ?? 0;
+        return a.title === b.title
+            && a.totalPages === b.totalPages
+            && size(a) === size(b);
+    }
+
+    // Identity of an annotation regardless of its id
+    function annotationSignature(record) {
+        const { id, ...rest } = record;
+        return JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+    }
+
+    return {
+        createBackup,
+        getBackupFilename,
+        readBackup,
+        restoreBackup
+    };
+})();
@@ -0,0 +1,323 @@
+/**
+ * KindlePDF - Dictionary Module
+ * Offline word lookup in dictionaries imported by the reader and kept in IndexedDB
+ *
+ * Import formats:
+ *   StarDict  - .ifo + .idx (or .idx.gz) + .dict (or .dict.dz), as loose files or in a ZIP
+ *   JSON      - { "word": "definition" } or [{ "word": ..., "definition": ... }]
+ *   TSV       - one "word<TAB>definition" per line
+ *
+ * Lookup tries the word as written, then the headwords it may be an inflection of,
+ * from suffix rules for Portuguese and English (plurals, feminines, verb endings).
+ */
+
+const Dictionary = (() => {
+    const MAX_DEFINITION_LENGTH = 5000;
+    const TEXT_FIELD_TYPES = 'mltgxykwh'; // StarDict field types holding text
+    const WORD_CHAR = /[\p{L}\p{M}\p{N}'’-]/u;
+
+    // [suffix, replacements] — applied to the word and once more to each result,
+    // so "claramente" reaches "claro" through "clara"
+    const PT_RULES = [
+        ['ões', ['ão']], ['ães', ['ão']], ['ãos', ['ão']],
+        ['ais', ['al']], ['éis', ['el']], ['eis', ['il', 'el']], ['óis', ['ol']], ['uis', ['ul']], ['is', ['il']],
+        ['ns', ['m']], ['zes', ['z']], ['res', ['r']], ['ses', ['s']], ['es', ['']], ['s', ['']],
+        ['inhos', ['o']], ['inhas', ['a']], ['inho', ['o']], ['inha', ['a']], ['zinho', ['']], ['zinha', ['']],
+        ['mente', ['']], ['ona', ['ão']], ['esa', ['ês']], ['a', ['o']],
+        ['ando', ['ar']], ['endo', ['er']], ['indo', ['ir']], ['ondo', ['or']],
+        ['ados', ['ar']], ['adas', ['ar']], ['ado', ['ar']], ['ada', ['ar']],
+        ['idos', ['er', 'ir']], ['idas', ['er', 'ir']], ['ido', ['er', 'ir']], ['ida', ['er', 'ir']],
+        ['ávamos', ['ar']], ['íamos', ['er', 'ir']], ['avam', ['ar']], ['avas', ['ar']], ['ava', ['ar']],
+        ['iam', ['er', 'ir']], ['ias', ['er', 'ir']], ['ia', ['er', 'ir']],
+        ['aram', ['ar']], ['eram', ['er']], ['iram', ['ir']], ['aste', ['ar']], ['este', ['er']], ['iste', ['ir']],
+        ['amos', ['ar']], ['emos', ['er']], ['imos', ['ir']],
+        ['asse', ['ar']], ['esse', ['er']], ['isse', ['ir']], ['assem', ['ar']], ['essem', ['er']], ['issem', ['ir']],
+        ['rão', ['r']], ['rei', ['r']], ['rá', ['r']], ['ria', ['r']], ['riam', ['r']], ['remos', ['r']],
+        ['ou', ['ar']], ['ei', ['ar']], ['eu', ['er']], ['iu', ['ir']],
+        ['am', ['ar']], ['em', ['er', 'ir', 'ar']], ['o', ['ar', 'er', 'ir']], ['e', ['er', 'ir', 'ar']]
+    ];
+
+    const EN_RULES = [
+        ['ies', ['y']], ['ied', ['y']], ['ier', ['y']], ['iest', ['y']], ['ily', ['y']],
+        ['ves', ['f', 'fe']], ['es', ['', 'e']], ['s', ['']],
+        ['ing', ['', 'e']], ['ed', ['', 'e']], ['er', ['', 'e']], ['est', ['', 'e']], ['ly', ['']]
+    ];
+
+    const MIN_STEM = 2;
+
+    // ==========================================
+    // Lookup
+    // ==========================================
+
+    function normalizeKey(word) {
+        return word.normalize('NFC').toLowerCase().replace(/’/g, "'").replace(/\s+/g, ' ').trim();
+    }
+
+    function applyRules(key, forms) {
+        [...PT_RULES, ...EN_RULES].forEach(([suffix, replacements]) => {
+            if (!key.endsWith(suffix) || key.length - suffix.length < MIN_STEM) return;
+            const stem = key.slice(0, -suffix.length);
+            replacements.forEach(replacement => forms.add(stem + replacement));
+            // running -> run, stopped -> stop
+            if (/^(ing|ed|er|est)$/.test(suffix) && /([b-df-hj-np-tv-z])\1$/.test(stem)) forms.add(stem.slice(0, -1));
+        });
+    }
+
+    // The word first, then the headwords it may be a form of
+    function candidates(word) {
+        const key = normalizeKey(word);
+        const forms = new Set([key]);
+        applyRules(key, forms);
+        [...forms].slice(1).forEach(form => applyRules(form, forms));
+        return [...forms].filter(form => form.length >= MIN_STEM);
+    }
+
+    // Definitions for a word: { word, entries: [{ dictionary, word, definition }], installed },
+    // entries empty when no dictionary has it; installed counts the dictionaries
+    async function lookup(word) {
+        const [dictionaries, found] = await Promise.all([
+            Storage.getDictionaries(),
+            Storage.findDictionaryEntries(candidates(word))
+        ]);
+        const names = new Map(dictionaries.map(d => [d.id, d.name]));
+
+        return {
+            word: found.length ? found[0].word : word,
+            entries: found.map(entry => ({ dictionary: names.get(entry.dictionaryId) || '', word: entry.word, definition: entry.definition })),
+            installed: dictionaries.length
+        };
+    }
+
+    // The word under a DOM point (a tap), with its screen rectangle, or null
+    function wordAtPoint(x, y) {
+        let node;
+        let offset;
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (!position) return null;
+            ({ offsetNode: node, offset } = position);
+        } else if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(x, y);
+            if (!range) return null;
+            ({ startContainer: node, startOffset: offset } = range);
+        }
+        if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+
+        const text = node.nodeValue;
+        let start = offset;
+        let end = offset;
+        while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+        while (end < text.length && WORD_CHAR.test(text[end])) end++;
+
+        const word = text.slice(start, end).replace(/^['’-]+|['’-]+$/g, '');
+        if (!/\p{L}/u.test(word)) return null;
+
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        const rect = range.getBoundingClientRect();
+        // The caret snaps to the nearest text, even from a margin
+        if (x < rect.left - 2 || x > rect.right + 2 || y < rect.top - 2 || y > rect.bottom + 2) return null;
+
+        return { word, rect };
+    }
+
+    // ==========================================
+    // Import
+    // ==========================================
+
+    // files: FileList or array of File. Returns the saved dictionary record
+    async function importFiles(files) {
+        const byName = new Map();
+        for (const file of files) {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            if (/\.zip$/i.test(file.name)) {
+                (await Archive.readZip(bytes.buffer)).forEach((data, name) => byName.set(name.split('/').pop(), data));
+            } else {
+                byName.set(file.name, bytes);
+            }
+        }
+
+        const names = [...byName.keys()];
+        const ifo = names.find(name => /\.ifo$/i.test(name));
+        const list = names.find(name => /\.(json|tsv|txt)$/i.test(name));
+
+        let parsed;
+        if (ifo) {
+            parsed = await parseStarDict(ifo, byName);
+        } else if (list) {
+            const text = new TextDecoder().decode(byName.get(list));
+            parsed = {
+                name: baseName(list),
+                format: /\.json$/i.test(list) ? 'json' : 'tsv',
+                entries: /\.json$/i.test(list) ? parseJson(text) : parseTsv(text)
+            };
+        } else {
+            throw new Error('Formato de dicionário não reconhecido.');
+        }
+
+        const entries = mergeEntries(parsed.entries);
+        if (!entries.length) throw new Error('Nenhuma palavra encontrada no dicionário.');
+
+        const dictionary = {
+            id: Storage.generateId(),
+            name: parsed.name,
+            format: parsed.format,
+            entryCount: entries.length,
+            importedAt: new Date().toISOString()
+        };
+        await Storage.saveDictionary(dictionary, entries.map(entry => ({ dictionaryId: dictionary.id, ...entry })));
+        return dictionary;
+    }
+
+    function baseName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '');
+    }
+
+    // Homographs become one entry; definitions are kept short enough for a popover
+    function mergeEntries(entries) {
+        const byKey = new Map();
+        entries.forEach(({ word, definition }) => {
+            const key = normalizeKey(word || '');
+            const text = (definition || '').trim();
+            if (!key || !text) return;
+            const entry = byKey.get(key);
+            if (entry) entry.definition += `\n\n${text}`;
+            else byKey.set(key, { key, word: word.trim(), definition: text });
+        });
+        return [...byKey.values()].map(entry => ({ ...entry, definition: entry.definition.slice(0, MAX_DEFINITION_LENGTH) }));
+    }
+
+    function parseJson(text) {
+        const data = JSON.parse(text);
+        const definitionOf = (value) => (Array.isArray(value) ? value.join('\n') : String(value ?? ''));
+
+        if (Array.isArray(data)) {
+            return data.map(item => ({
+                word: item.word ?? item.headword ?? item.term,
+                definition: definitionOf(item.definition ?? item.definitions ?? item.meaning)
+            }));
+        }
+        return Object.entries(data).map(([word, value]) => ({ word, definition: definitionOf(value) }));
+    }
+
+    function parseTsv(text) {
+        return text.split(/\r?\n/)
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const tab = line.indexOf('\t');
+                return tab === -1 ? null : { word: line.slice(0, tab), definition: line.slice(tab + 1).replace(/\\n/g, '\n') };
+            })
+            .filter(Boolean);
+    }
+
+    // ==========================================
+    // StarDict
+    // ==========================================
+
+    async function parseStarDict(ifoName, files) {
+        const info = Object.fromEntries(new TextDecoder().decode(files.get(ifoName)).split(/\r?\n/)
+            .map(line => line.split('='))
+            .filter(parts => parts.length >= 2)
+            .map(([key, ...value]) => [key.trim(), value.join('=').trim()]));
+
+        const base = baseName(ifoName);
+        const idx = await readPart(files, [`${base}.idx`, `${base}.idx.gz`]);
+        const dict = await readPart(files, [`${base}.dict`, `${base}.dict.dz`]);
+        if (!idx || !dict) throw new Error('Dicionário StarDict incompleto: faltam os arquivos .idx ou .dict.');
+
+        const offsetBytes = info.idxoffsetbits === '64' ? 8 : 4;
+        const types = info.sametypesequence || null;
+        const decoder = new TextDecoder();
+        const view = new DataView(idx.buffer, idx.byteOffset, idx.byteLength);
+        const entries = [];
+
+        let pointer = 0;
+        while (pointer < idx.length) {
+            const end = idx.indexOf(0, pointer);
+            if (end === -1) break;
+            const word = decoder.decode(idx.subarray(pointer, end));
+            pointer = end + 1;
+
+            const offset = offsetBytes === 8
+                ? view.getUint32(pointer, false) * 2 ** 32 + view.getUint32(pointer + 4, false)
+                : view.getUint32(pointer, false);
+            const size = view.getUint32(pointer + offsetBytes, false);
+            pointer += offsetBytes + 4;
+
+            entries.push({ word, definition: readFields(dict.subarray(offset, offset + size), types, decoder) });
+        }
+
+        return { name: info.bookname || base, format: 'stardict', entries };
+    }
+
+    async function readPart(files, names) {
+        for (const name of names) {
+            const bytes = files.get(name);
+            if (bytes) return /\.(gz|dz)$/.test(name) ? gunzip(bytes) : bytes;
+        }
+        return null;
+    }
+
+    // .dict.dz is dictzip, which any gzip reader can inflate
+    async function gunzip(bytes) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('Este navegador não descompacta arquivos .dz/.gz.');
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // The text fields of an entry. Without sametypesequence every field starts with its type;
+    // lowercase types are NUL-terminated text, uppercase ones binary with a size prefix.
+    // The last field of a sametypesequence entry runs to the end of the data
+    function readFields(data, types, decoder) {
+        const texts = [];
+        let pointer = 0;
+        let index = 0;
+
+        while (pointer < data.length) {
+            const type = types ? types[index] : String.fromCharCode(data[pointer++]);
+            if (!type) break;
+            const last = types && index === types.length - 1;
+            index++;
+
+            let end;
+            let start = pointer;
+            if (type === type.toLowerCase()) {
+                end = last ? data.length : data.indexOf(0, pointer);
+                if (end === -1) end = data.length;
+                pointer = end + 1;
+            } else {
+                const size = last ? data.length - pointer : new DataView(data.buffer, data.byteOffset + pointer, 4).getUint32(0, false);
+                if (!last) start += 4;
+                end = start + size;
+                pointer = end;
+            }
+
+            if (TEXT_FIELD_TYPES.includes(type)) texts.push(toPlainText(decoder.decode(data.subarray(start, end)), type));
+        }
+
+        return texts.join('\n');
+    }
+
+    // HTML, XDXF and Pango markup down to plain text with line breaks
+    function toPlainText(text, type) {
+        if (!'hxgk'.includes(type)) return text;
+        return text
+            .replace(/<br\s*\/?>|<\/(p|div|li|def)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&apos;/g, "'")
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    return {
+        candidates,
+        lookup,
+        wordAtPoint,
+        importFiles
+    };
+})();
@@ -0,0 +1,233 @@
+/**
+ * KindlePDF - Export Module
+ * Exports bookmarks, notes and highlights to Markdown, JSON and Kindle "My Clippings.txt"
+ */
+
+const Exporter = (() => {
+    const CLIPPINGS_SEPARATOR = '==========';
+    const FORMATS = {
+        markdown: { extension: 'md', mime: 'text/markdown' },
+        json: { extension: 'json', mime: 'application/json' },
+        clippings: { extension: 'txt', mime: 'text/plain' }
+    };
+    const HIGHLIGHT_COLOR_NAMES = {
+        yellow: 'amarelo',
+        green: 'verde',
+        blue: 'azul',
+        pink: 'rosa'
+    };
+
+    // Gather every annotation of a book into a flat, page-ordered list
+    async function collectBook(book) {
+        const [bookmarks, notes, highlights] = await Promise.all([
+            Storage.getBookmarks(book.id),
+            Storage.getNotes(book.id),
+            Storage.getHighlights(book.id)
+        ]);
+
+        const entries = [
+            ...bookmarks.map(bm => ({
+                type: 'bookmark',
+                page: bm.page,
+                offset: bm.globalOffset,
+                snippet: bm.contentSnippet || '',
+                createdAt: bm.createdAt
+            })),
+            ...notes.map(note => ({
+                type: 'note',
+                page: note.page,
+                offset: note.globalOffset,
+                snippet: note.contentSnippet || '',
+                text: note.text,
+                createdAt: note.createdAt
+            })),
+            ...highlights.map(hl => ({
+                type: 'highlight',
+                page: hl.page,
+                offset: hl.start,
+                snippet: hl.text,
+                text: hl.text,
+                color: hl.color,
+                createdAt: hl.createdAt
+            }))
+        ].sort((a, b) => (a.page ?? Infinity) - (b.page ?? Infinity) || new Date(a.createdAt) - new Date(b.createdAt));
+
+        return {
+            id: book.id,
+            title: book.title,
+            author: book.author || '',
+            totalPages: book.totalPages,
+            entries
+        };
+    }
+
+    async function collectLibrary() {
+        const books = await Storage.getAllBooks();
+        const collected = await Promise.all(books.map(collectBook));
+        return collected.filter(book => book.entries.length > 0);
+    }
+
+    // ==========================================
+    // Formats
+    // ==========================================
+
+    // groupBy: 'page' or 'chapter' (entries need a `chapter` field for the latter)
+    function toMarkdown(books, { groupBy = 'page' } = {}) {
+        const lines = [];
+
+        books.forEach(book => {
+            lines.push(`# ${book.title}`, '');
+            if (book.author) lines.push(`*${book.author}*`, '');
+
+            // Chapters follow text order, which page numbers only approximate
+            const entries = groupBy === 'chapter'
+                ? [...book.entries].sort((a, b) => (a.offset ?? -1) - (b.offset ?? -1))
+                : book.entries;
+
+            let currentGroup = null;
+            entries.forEach(entry => {
+                const group = groupBy === 'chapter'
+                    ? (entry.chapter || 'Início')
+                    : (entry.page ? `Página ${entry.page}` : 'Sem página');
+
+                if (group !== currentGroup) {
+                    lines.push(`## ${group}`, '');
+                    currentGroup = group;
+                }
+
+                lines.push(...entryToMarkdown(entry, groupBy), '');
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    function entryToMarkdown(entry, groupBy) {
+        const date = formatDate(entry.createdAt);
+        const where = groupBy === 'chapter' && entry.page ? `página ${entry.page}, ` : '';
+        const snippet = entry.snippet ? `*"${truncate(entry.snippet, 150)}"*` : '';
+
+        switch (entry.type) {
+            case 'highlight':
+                return [
+                    ...entry.text.split('\n').map(line => `> ${line}`),
+                    '>',
+                    `> — Destaque ${HIGHLIGHT_COLOR_NAMES[entry.color] || entry.color} (${where}${date})`
+                ];
+            case 'note':
+                return [`**Nota:** ${entry.text}`, '', `${snippet} — ${where}${date}`.trim()];
+            default:
+                return [`🔖 **Marcador** ${snippet} — ${where}${date}`];
+        }
+    }
+
+    function toJSON(books) {
+        return JSON.stringify({
+            app: 'KindlePDF',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            books: books.map(({ id, ...book }) => book)
+        }, null, 2);
+    }
+
+    // Kindle "My Clippings.txt" layout (CRLF line endings, BOM)
+    function toClippings(books) {
+        const blocks = [];
+
+        books.forEach(book => {
+            const header = book.author ? `${book.title} (${book.author})` : book.title;
+
+            book.entries.forEach(entry => {
+                const kind = { highlight: 'Highlight', note: 'Note', bookmark: 'Bookmark' }[entry.type];
+                const content = entry.type === 'bookmark' ? '' : entry.text.replace(/\s*\n\s*/g, ' ');
+
+                const meta = [
+                    `Your ${kind}${entry.page ? ` on page ${entry.page}` : ''}`,
+                    entry.createdAt ? `Added on ${formatClippingDate(entry.createdAt)}` : null
+                ].filter(Boolean).join(' | ');
+
+                blocks.push([
+                    header,
+                    `- ${meta}`,
+                    '',
+                    content,
+                    CLIPPINGS_SEPARATOR
+                ].join('\r\n'));
+            });
+        });
+
+        return '\uFEFF' + blocks.join('\r\n') + (blocks.length ? '\r\n' : '');
+    }
+
+    // ==========================================
+    // Download
+    // ==========================================
+
+    function exportBooks(books, format, options = {}) {
+        const { extension, mime } = FORMATS[format];
+        let content;
+
+        if (format === 'markdown') content = toMarkdown(books, options);
+        else if (format === 'json') content = toJSON(books);
+        else content = toClippings(books);
+
+        const filename = format === 'clippings'
+            ? 'My Clippings.txt'
+            : `${options.filename || 'kindlepdf-anotacoes'}.${extension}`;
+
+        download(filename, content, mime);
+    }
+
+    function download(filename, content, mime) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: `${mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    function truncate(text, length) {
+        const clean = text.replace(/\s+/g, ' ').trim();
+        return clean.length > length ? clean.substring(0, length).trim() + '…' : clean;
+    }
+
+    function formatDate(isoString) {
+        return isoString ? new Date(isoString).toLocaleDateString('pt-BR') : 'sem data';
+    }
+
+    // e.g. "Monday, March 4, 2024 10:23:45 AM"
+    function formatClippingDate(isoString) {
+        const date = new Date(isoString);
+        const day = date.toLocaleDateString('en-US', {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+        });
+        const time = date.toLocaleTimeString('en-US', {
+            hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true
+        });
+        return `${day} ${time}`;
+    }
+
+    function sanitizeFilename(name) {
+        return name.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim() || 'livro';
+    }
+
+    return {
+        CLIPPINGS_SEPARATOR,
+        collectBook,
+        collectLibrary,
+        toMarkdown,
+        toJSON,
+        toClippings,
+        exportBooks,
+        download,
+        sanitizeFilename
+    };
+})();
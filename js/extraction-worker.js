@@ -0,0 +1,87 @@
+/**
+ * KindlePDF - Extraction Worker
+ * Extracts the text of a PDF off the main thread, streaming pages back in batches
+ *
+ * In:  { type: 'extract', data: Uint8Array }
+ *      { type: 'ocr', pageNumber, textContent } - text recognized on a scanned page
+ * Out: { type: 'pages', pages: [{ pageNumber, text, paragraphs }], processed, total }
+ *      (paragraphs: [start, length, heading] or, for figures, [start, length, 0, rect])
+ *      { type: 'ocr', pageNumber } - a scanned page to recognize; rendering needs the DOM
+ *      { type: 'done' } | { type: 'error', message }
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    // Loading the worker code here makes pdf.js parse in this thread instead of spawning another worker
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'text-extraction.js?v=14' // Same version as the scripts in index.html
+);
+
+const BATCH_PAGES = 20;
+const BATCH_INTERVAL = 250; // ms
+
+const ocrRequests = new Map(); // pageNumber -> resolve of the text content awaited from the reader
+
+function requestOcr(pageNumber) {
+    return new Promise(resolve => {
+        ocrRequests.set(pageNumber, resolve);
+        self.postMessage({ type: 'ocr', pageNumber });
+    });
+}
+
+self.onmessage = async ({ data: message }) => {
+    if (message.type === 'ocr') {
+        ocrRequests.get(message.pageNumber)?.(message.textContent);
+        ocrRequests.delete(message.pageNumber);
+        return;
+    }
+    if (message.type !== 'extract') return;
+
+    let doc = null;
+    try {
+        doc = await pdfjsLib.getDocument({ data: message.data }).promise;
+
+        const reader = TextExtraction.createPageReader();
+        let batch = [];
+        let lastPost = 0;
+        let sentText = false;
+
+        for (let i = 1; i <= doc.numPages; i++) {
+            const page = await doc.getPage(i);
+            let textContent = await page.getTextContent();
+            const images = await TextExtraction.getPageImages(page, pdfjsLib.OPS);
+            page.cleanup();
+
+            if (TextExtraction.isScanned(textContent, images)) {
+                // OCR is slow: hand over what's ready first
+                if (batch.length) {
+                    self.postMessage({ type: 'pages', pages: batch, processed: i - 1, total: doc.numPages });
+                    sentText = true;
+                    batch = [];
+                    lastPost = Date.now();
+                }
+                textContent = await requestOcr(i);
+            }
+
+            const ready = reader.addPage(i, textContent, images.figures, page.view);
+            if (i === doc.numPages) ready.push(...reader.finish());
+
+            batch.push(...ready);
+
+            // The first pages with text go out on their own so the reader can show them right away
+            const now = Date.now();
+            if ((batch.length && !sentText) || i === doc.numPages || batch.length >= BATCH_PAGES || now - lastPost >= BATCH_INTERVAL) {
+                self.postMessage({ type: 'pages', pages: batch, processed: i, total: doc.numPages });
+                sentText = sentText || batch.length > 0;
+                batch = [];
+                lastPost = now;
+            }
+        }
+
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    } finally {
+        if (doc) doc.destroy();
+    }
+};
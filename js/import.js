@@ -0,0 +1,225 @@
+/**
+ * KindlePDF - Import Module
+ * Imports highlights and notes from a Kindle "My Clippings.txt" file
+ */
+
+const Importer = (() => {
+    const SNIPPET_LENGTH = 150;
+
+    // Clipping types across the Kindle UI languages our readers use
+    const TYPE_PATTERNS = [
+        { type: 'bookmark', pattern: /bookmark|marcador|lesezeichen|signet/i },
+        { type: 'note', pattern: /\bnote\b|\bnota\b|notiz/i },
+        { type: 'highlight', pattern: /highlight|destaque|subrayado|surlignement|markierung|evidenziazione/i }
+    ];
+
+    // Month names of the Portuguese and Spanish Kindle dates, without accents
+    const MONTHS = {
+        janeiro: 0, fevereiro: 1, marco: 2, abril: 3, maio: 4, junho: 5,
+        julho: 6, agosto: 7, setembro: 8, outubro: 9, novembro: 10, dezembro: 11,
+        enero: 0, febrero: 1, marzo: 2, mayo: 4, junio: 5, julio: 6,
+        septiembre: 8, setiembre: 8, octubre: 9, noviembre: 10, diciembre: 11
+    };
+
+    // ==========================================
+    // Parsing
+    // ==========================================
+
+    // Parse "My Clippings.txt" into { title, author, type, page, location, createdAt, text }
+    function parseClippings(content) {
+        const clippings = [];
+        const blocks = content
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split(new RegExp(`^${Exporter.CLIPPINGS_SEPARATOR}\\s*$`, 'm'));
+
+        for (const block of blocks) {
+            const lines = block.split('\n').map(line => line.replace(/^\uFEFF/, '').trim());
+            while (lines.length && !lines[0]) lines.shift();
+            if (lines.length < 2) continue;
+
+            const { title, author } = parseTitleLine(lines[0]);
+            const meta = parseMetaLine(lines[1]);
+            if (!meta) continue;
+
+            const text = lines.slice(2).join('\n').trim();
+            if (meta.type !== 'bookmark' && !text) continue;
+
+            clippings.push({ title, author, ...meta, text });
+        }
+
+        return clippings;
+    }
+
+    // "Title (Author)" — the author is the last parenthesised group
+    function parseTitleLine(line) {
+        const match = line.match(/^(.*)\(([^()]*)\)\s*$/);
+        if (match && match[1].trim()) {
+            return { title: match[1].trim(), author: match[2].trim() };
+        }
+        return { title: line.trim(), author: '' };
+    }
+
+    // "- Your Highlight on page 12 | Location 100-102 | Added on Monday, March 4, 2024 10:23:45 AM"
+    // An unreadable date comes back as createdAt: null rather than the time of the import
+    function parseMetaLine(line) {
+        if (!line.startsWith('-')) return null;
+
+        const parts = line.replace(/^-\s*/, '').split('|').map(part => part.trim());
+        const typeEntry = TYPE_PATTERNS.find(({ pattern }) => pattern.test(parts[0]));
+        if (!typeEntry) return null;
+
+        const pageMatch = line.match(/(?:page|página|pagina|seite)\s+(\d+)/i);
+        const locationMatch = line.match(/(?:location|loc\.|posição|posicion|position|pos\.)\s+([\d-]+)/i);
+
+        return {
+            type: typeEntry.type,
+            page: pageMatch ? parseInt(pageMatch[1]) : null,
+            location: locationMatch ? locationMatch[1] : null,
+            createdAt: parts.length > 1 ? parseDate(parts[parts.length - 1]) : null
+        };
+    }
+
+    // "Added on Monday, March 4, 2024 10:23:45 AM", "Adicionado: segunda-feira, 4 de março de 2024 10:23:45",
+    // "Añadido el lunes, 4 de marzo de 2024 10:23:45". Returns an ISO string or null
+    function parseDate(part) {
+        const plain = part.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const match = plain.match(/(\d{1,2}) de ([a-z]+) de (\d{4})(?:\D+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+
+        let date;
+        if (match) {
+            const month = MONTHS[match[2]];
+            if (month === undefined) return null;
+            const [day, year, hours, minutes, seconds] = [1, 3, 4, 5, 6].map(i => parseInt(match[i] || 0));
+            date = new Date(year, month, day, hours, minutes, seconds);
+        } else {
+            date = new Date(part.replace(/^added on\s*/i, ''));
+        }
+
+        return isNaN(date) ? null : date.toISOString();
+    }
+
+    // PDF page holding a global offset of the text built from `pages` (see PDFHandler.getPdfPageForOffset)
+    function pageForOffset(pages, offset) {
+        let pageStart = 0;
+        for (const { pageNumber, text } of pages) {
+            pageStart += text.length + 2;
+            if (offset < pageStart) return pageNumber;
+        }
+        return pages.length ? pages[pages.length - 1].pageNumber : null;
+    }
+
+    // ==========================================
+    // Book Matching
+    // ==========================================
+
+    function normalizeTitle(title) {
+        return Search.normalize(title).text
+            .replace(/\.pdf$/, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Find the library book whose title matches a Kindle title
+    function matchBook(title, books) {
+        const wanted = normalizeTitle(title);
+        if (!wanted) return null;
+
+        const exact = books.find(book => normalizeTitle(book.title) === wanted);
+        if (exact) return exact;
+
+        // Kindle titles are often longer (subtitles) or shorter than file names
+        return books.find(book => {
+            const candidate = normalizeTitle(book.title);
+            return candidate.length >= 4 && (candidate.includes(wanted) || wanted.includes(candidate));
+        }) || null;
+    }
+
+    // Group clippings by matched book; unmatched ones go to `unmatched` keyed by Kindle title
+    function groupByBook(clippings, books) {
+        const matched = new Map();
+        const unmatched = new Map();
+
+        clippings.forEach(clipping => {
+            const book = matchBook(clipping.title, books);
+            const target = book ? matched : unmatched;
+            const key = book ? book.id : clipping.title;
+
+            if (!target.has(key)) target.set(key, { book, title: clipping.title, clippings: [] });
+            target.get(key).clippings.push(clipping);
+        });
+
+        return { matched: [...matched.values()], unmatched: [...unmatched.values()] };
+    }
+
+    // ==========================================
+    // Anchoring & Saving
+    // ==========================================
+
+    // Global offset of text inside fullText, or -1 (haystack: see Search.locate)
+    function findOffset(haystack, text) {
+        if (text.replace(/\s+/g, ' ').trim().length < 10) return -1;
+        return Search.locate(haystack, text)?.start ?? -1;
+    }
+
+    // Turn a book's clippings into notes. Returns { imported, duplicates, unanchored }.
+    // Kindle page numbers belong to the Kindle edition, so a note gets the PDF page of the
+    // text it was found at, and no page at all when it wasn't found
+    async function importIntoBook(bookId, clippings) {
+        const [book, data] = await Promise.all([Storage.getBook(bookId), Storage.getBookData(bookId)]);
+        const pages = await PDFHandler.getDocumentPages(data, bookId, book.ocrLanguage || OCR.DEFAULT_LANGUAGE);
+        const fullText = pages.map(p => p.text).join('\n\n');
+        const haystack = Search.normalize(fullText, { collapseWhitespace: true });
+        const textVersion = PDFHandler.getTextVersion(book.ocrLanguage || OCR.DEFAULT_LANGUAGE);
+
+        const existing = await Storage.getNotes(bookId);
+        const existingKeys = new Set(existing.map(note => `${note.globalOffset}|${note.text}`));
+
+        const result = { imported: 0, duplicates: 0, unanchored: [] };
+        const anchorsByPage = new Map(); // Kindle page (or location) -> offset of a highlight on it
+
+        // Highlights first so notes can borrow their anchors
+        const ordered = clippings
+            .filter(clipping => clipping.type !== 'bookmark')
+            .sort((a, b) => (a.type === 'highlight' ? 0 : 1) - (b.type === 'highlight' ? 0 : 1));
+
+        for (const clipping of ordered) {
+            const anchorKey = clipping.page ?? clipping.location;
+            let offset = findOffset(haystack, clipping.text);
+            let snippet = '';
+
+            if (offset !== -1) {
+                snippet = fullText.substring(offset, offset + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim();
+                if (clipping.type === 'highlight' && anchorKey !== null) {
+                    anchorsByPage.set(anchorKey, offset);
+                }
+            } else if (clipping.type === 'note' && anchorsByPage.has(anchorKey)) {
+                // Kindle notes hold the reader's own words, anchored next to a highlight
+                offset = anchorsByPage.get(anchorKey);
+                snippet = fullText.substring(offset, offset + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim();
+            } else {
+                result.unanchored.push(clipping);
+            }
+
+            const key = `${offset}|${clipping.text}`;
+            if (existingKeys.has(key)) {
+                result.duplicates++;
+                continue;
+            }
+            existingKeys.add(key);
+
+            const page = offset === -1 ? null : pageForOffset(pages, offset);
+            await Storage.addNote(bookId, page, clipping.text, snippet, offset, clipping.createdAt, textVersion);
+            result.imported++;
+        }
+
+        return result;
+    }
+
+    return {
+        parseClippings,
+        matchBook,
+        groupByBook,
+        importIntoBook
+    };
+})();
@@ -0,0 +1,95 @@
+/**
+ * KindlePDF - Library Module
+ * Searching, filtering and sorting the books on the library shelf
+ *
+ * Each book record carries its own organization: status, rating, collection ids
+ * and tags (see Storage.saveBook). Books saved before these fields existed get
+ * their defaults here.
+ */
+
+const Library = (() => {
+    const STATUSES = { 'to-read': 'Para ler', reading: 'Lendo', finished: 'Lido', abandoned: 'Abandonado' };
+    const SORTS = { recent: 'Leitura recente', title: 'Título', author: 'Autor', added: 'Adicionados', progress: 'Progresso' };
+    const DEFAULT_SORT = 'recent';
+    const MAX_RATING = 5;
+
+    const collator = new Intl.Collator('pt-BR', { sensitivity: 'base', numeric: true });
+
+    // Older records have no status: a book that was opened is being read
+    function getStatus(book) {
+        return book.status || (book.lastReadAt ? 'reading' : 'to-read');
+    }
+
+    function getProgress(book) {
+        return book.totalPages > 0 ? Math.min(1, book.currentPage / book.totalPages) : 0;
+    }
+
+    // Tags used by any of the books, alphabetically
+    function getTags(books) {
+        return [...new Set(books.flatMap(book => book.tags || []))].sort(collator.compare);
+    }
+
+    // "romance, clássicos,romance" -> ['romance', 'clássicos']
+    function parseTags(text) {
+        return [...new Set(text.split(',').map(tag => tag.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+    }
+
+    // ==========================================
+    // Search & Filters
+    // ==========================================
+
+    function normalize(text) {
+        return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // filters: { query, status, collection, tag }; empty ones match every book.
+    // Every word of the query must appear in the title or the author
+    function filterBooks(books, { query = '', status = null, collection = null, tag = null } = {}) {
+        const terms = normalize(query).split(/\s+/).filter(Boolean);
+
+        return books.filter(book => {
+            if (status && getStatus(book) !== status) return false;
+            if (collection && !(book.collections || []).includes(collection)) return false;
+            if (tag && !(book.tags || []).includes(tag)) return false;
+
+            const haystack = normalize(`${book.title} ${book.author || ''}`);
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    // ==========================================
+    // Sorting
+    // ==========================================
+
+    // Most recent first (dates are ISO strings)
+    function byDateDesc(a, b) {
+        return (b || '').localeCompare(a || '');
+    }
+
+    function sortBooks(books, sort = DEFAULT_SORT) {
+        const byTitle = (a, b) => collator.compare(a.title, b.title);
+        const compare = {
+            recent: (a, b) => byDateDesc(a.lastReadAt || a.addedAt, b.lastReadAt || b.addedAt),
+            title: byTitle,
+            // Books without an author go last
+            author: (a, b) => (!a.author - !b.author) || collator.compare(a.author || '', b.author || '') || byTitle(a, b),
+            added: (a, b) => byDateDesc(a.addedAt, b.addedAt),
+            progress: (a, b) => getProgress(b) - getProgress(a) || byTitle(a, b)
+        }[sort] || byTitle;
+
+        return [...books].sort(compare);
+    }
+
+    return {
+        STATUSES,
+        SORTS,
+        DEFAULT_SORT,
+        MAX_RATING,
+        getStatus,
+        getProgress,
+        getTags,
+        parseTags,
+        filterBooks,
+        sortBooks
+    };
+})();
@@ -0,0 +1,121 @@
+/**
+ * KindlePDF - OCR Module
+ * Recognizes the text of scanned pages with the Tesseract engine bundled in js/lib/tesseract,
+ * so it works offline:
+ *   tesseract.min.js, worker.min.js   - tesseract.js 5.1.1
+ *   tesseract-core-*lstm.wasm.js      - its WebAssembly cores (tesseract.js-core 5.1.1), with
+ *                                       and without SIMD; only the LSTM engine is used
+ *   lang/<code>.traineddata.gz        - one model per language in LANGUAGES (4.0.0_best_int)
+ *
+ * The engine is loaded the first time a page needs it. Recognized pages come back as
+ * pdf.js-like text content ({ items, styles }) in page space, so they go through the
+ * same page reader as pages with a text layer (see TextExtraction.createPageReader).
+ */
+
+const OCR = (() => {
+    // Absolute, as tesseract.js's worker would resolve it against its own location
+    const LIB_PATH = new URL('js/lib/tesseract/', document.baseURI).href;
+    const LANGUAGES = { por: 'Português', eng: 'Inglês' };
+    const DEFAULT_LANGUAGE = 'por';
+    const RENDER_SCALE = 200 / 72; // 200 dpi: enough for body text without huge canvases
+    const MIN_CONFIDENCE = 40; // Lines below this are usually noise from pictures or stains
+
+    let library = null; // Promise of the tesseract.js global
+    let engine = null; // { language, worker: Promise }
+
+    // ==========================================
+    // Engine
+    // ==========================================
+
+    function loadLibrary() {
+        if (!library) {
+            library = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${LIB_PATH}tesseract.min.js`;
+                script.onload = () => resolve(window.Tesseract);
+                script.onerror = () => reject(new Error('Motor de OCR não encontrado'));
+                document.head.appendChild(script);
+            });
+        }
+        return library;
+    }
+
+    // One engine at a time, set up for a single language. A failed setup isn't
+    // retried for the same language, so a missing model doesn't stall every page
+    function getWorker(language) {
+        if (engine?.language === language) return engine.worker;
+        terminate();
+
+        const worker = loadLibrary().then(Tesseract => Tesseract.createWorker(language, Tesseract.OEM.LSTM_ONLY, {
+            workerPath: `${LIB_PATH}worker.min.js`,
+            corePath: LIB_PATH,
+            langPath: `${LIB_PATH}lang`,
+            gzip: true,
+            workerBlobURL: false,
+            cacheMethod: 'none' // The models ship with the app, no need for a copy in IndexedDB
+        }));
+        engine = { language, worker };
+        return worker;
+    }
+
+    // Free the engine's memory (its models take tens of MB)
+    function terminate() {
+        if (!engine) return;
+        engine.worker.then(worker => worker.terminate(), () => { });
+        engine = null;
+    }
+
+    // ==========================================
+    // Recognition
+    // ==========================================
+
+    // Render a pdf.js page and recognize its text
+    async function recognizePage(page, language = DEFAULT_LANGUAGE) {
+        const worker = await getWorker(language);
+        const viewport = page.getViewport({ scale: RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+
+        try {
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            const { data } = await worker.recognize(canvas, {}, { text: false, blocks: true });
+            return toTextContent(data, viewport);
+        } finally {
+            canvas.width = canvas.height = 0;
+        }
+    }
+
+    // One text item per recognized line, placed on the bottom of its box in page space.
+    // The row height is steadier than the box, which shrinks without ascenders or descenders
+    function toTextContent(data, viewport) {
+        const items = [];
+
+        (data.blocks || []).forEach(block => block.paragraphs.forEach(paragraph => paragraph.lines.forEach(line => {
+            const text = line.text.trim();
+            if (!text || line.confidence < MIN_CONFIDENCE) return;
+
+            const { x0, y0, x1, y1 } = line.bbox;
+            const [left, bottom] = viewport.convertToPdfPoint(x0, y1);
+            const [right] = viewport.convertToPdfPoint(x1, y1);
+            const size = (line.rowAttributes?.row_height || y1 - y0) / viewport.scale;
+
+            items.push({
+                str: text,
+                transform: [size, 0, 0, size, Math.min(left, right), bottom],
+                width: Math.abs(right - left),
+                height: size,
+                fontName: 'ocr'
+            });
+        })));
+
+        return { items, styles: {} };
+    }
+
+    return {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        recognizePage,
+        terminate
+    };
+})();
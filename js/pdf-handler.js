@@ -5,6 +5,16 @@
  */
 
 const PDFHandler = (() => {
+    const DEFAULT_TYPOGRAPHY = {
+        fontFamily: 'Lora',
+        fontSize: 18,
+        lineHeight: 1.8,
+        margin: 50,
+        textAlign: 'justify',
+        paragraphIndent: 2,
+        paragraphSpacing: 0.8
+    };
+
     let pdfDoc = null;
     let currentPage = 1;
     let totalPages = 0;
@@ -13,11 +23,49 @@ const PDFHandler = (() => {
     let scale = 1.0;
     let readingMode = 'page'; // Default to page mode for no-scroll experience
     let currentBookId = null;
+    let positionOffset = null; // Reading position as a global text offset (see restorePosition)
+    let positionPdfPage = 1; // PDF page of the position, used until its text has been extracted
+    let positionSnippet = null; // Text at a position saved against another version of the text (see restorePosition)
     let extractedText = []; // Array of text per PDF page
+    let extractedPageNumbers = []; // PDF page number of each extractedText entry
+    let fullText = null; // extractedText joined (see getFullText)
+    let paragraphIndex = null; // Paragraphs with offsets and heading levels (see getParagraphs)
+    let paginationKey = null; // Font and viewport the pages were measured with
+    let paginatedParagraphs = 0; // Paragraphs already laid out into pages
     let paginatedContent = []; // Array of content chunks that fit on screen
-    let fontSize = 18;
-    let lineHeight = 1.8;
-    let fontFamily = 'Lora';
+    let fontSize = DEFAULT_TYPOGRAPHY.fontSize;
+    let lineHeight = DEFAULT_TYPOGRAPHY.lineHeight;
+    let fontFamily = DEFAULT_TYPOGRAPHY.fontFamily;
+    let margin = DEFAULT_TYPOGRAPHY.margin; // Side padding of the text column, px
+    let textAlign = DEFAULT_TYPOGRAPHY.textAlign; // 'justify' or 'left'
+    let paragraphIndent = DEFAULT_TYPOGRAPHY.paragraphIndent; // em
+    let paragraphSpacing = DEFAULT_TYPOGRAPHY.paragraphSpacing; // em
+    let decorations = {}; // Highlighted text ranges by layer name
+    let toc = []; // Table of contents entries (see loadToc)
+    let tocSource = 'headings'; // 'outline' or 'headings'
+    let chapters = []; // Entries used for chapter navigation
+    let scrollState = null; // Virtualized flow state while in scroll mode
+    let layoutState = null; // Canvas page state while in layout mode
+    let zoomMode = 'fit-width'; // 'fit-width', 'fit-page' or 'custom' (layout mode)
+    let progressTimer = null;
+    let extraction = null; // Text extraction of the open book (see extractAllText)
+    let extractionListener = null;
+    let textContainer = null; // Container of the last text render, refreshed as text streams in
+    let figureMaxHeight = null; // Tallest a figure may be drawn to fit on a screen page (see paginateContent)
+    let figureImages = new Map(); // Cropped figure images (object URLs) by figure and width
+    let figureBatches = new Map(); // Figures waiting to be cropped, by PDF page (see renderFigure)
+    let ocrLanguage = OCR.DEFAULT_LANGUAGE; // Language of the open book's scanned pages (see setOcrLanguage)
+
+    const SCROLL_BUFFER_PAGES = 2; // Screen pages kept rendered on each side of the viewport
+    const MIN_SCALE = 0.25;
+    const MAX_SCALE = 4;
+    const ZOOM_STEP = 1.2;
+    const HEADING_SCALES = [1.6, 1.4, 1.15]; // Font size of h1-h3 relative to the body text
+    const MAX_FIGURE_PIXELS = 4096 * 4096; // Largest canvas a page's figures are drawn on (mobile browsers' limit)
+    const TEXT_CACHE_VERSION = 6; // Bump whenever extraction or paragraph splitting changes
+    const ANCHOR_SNIPPET_LENGTH = 100; // Text saved with an offset to find it again (see getTextVersion)
+    const ANCHOR_WINDOW = 20000; // Characters searched on each side of a position's PDF page for its snippet
+    const EXTRACTION_WORKER_URL = 'js/extraction-worker.js?v=14'; // Same version as the scripts in index.html
 
     // Initialize PDF.js worker
     function init() {
@@ -27,10 +75,28 @@ const PDFHandler = (() => {
 
     // Load PDF from ArrayBuffer
     async function loadPDF(arrayBuffer, bookId) {
+        cancelExtraction();
         currentBookId = bookId;
         extractedText = [];
+        extractedPageNumbers = [];
+        fullText = null;
+        paragraphIndex = null;
+        paginationKey = null;
+        layoutState = null;
+        toc = [];
+        chapters = [];
+        currentPage = 1;
         paginatedContent = [];
+        decorations = {};
+        scrollState = null;
         currentScreenPage = 1;
+        positionOffset = null;
+        positionPdfPage = 1;
+        positionSnippet = null;
+        ocrLanguage = OCR.DEFAULT_LANGUAGE;
+        figureImages.forEach(image => image.then(url => URL.revokeObjectURL(url), () => { }));
+        figureImages = new Map();
+        figureBatches = new Map();
 
         const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
         pdfDoc = await loadingTask.promise;
@@ -39,229 +105,643 @@ const PDFHandler = (() => {
         return { totalPages };
     }
 
-    // Extract text from all pages
+    // Start loading the book's text: at once from the text cache when it's up to date,
+    // otherwise streamed page by page from the extraction worker (see whenTextReady)
     async function extractAllText() {
-        if (!pdfDoc) return [];
+        if (!pdfDoc || extraction) return extractedText;
+
+        extraction = {
+            worker: null,
+            processed: 0,
+            total: totalPages,
+            done: false,
+            waiters: [],
+            ocrPages: 0, // Scanned pages found so far
+            ocrPage: null, // Page being recognized
+            ocrError: false // Some scanned page couldn't be recognized (e.g. the OCR engine failed to load)
+        };
+        const current = extraction;
+
+        const cache = await readTextCache(currentBookId, totalPages, ocrLanguage);
+        if (extraction !== current) return extractedText;
+
+        if (cache) {
+            current.ocrPages = cache.ocrPages || 0;
+            extractedText = cache.pages.map(p => p.text);
+            extractedPageNumbers = cache.pages.map(p => p.pageNumber);
+            fullText = null;
+            const text = getFullText();
+            paragraphIndex = cache.paragraphs.map(([start, length, heading, figure]) => ({
+                text: text.substr(start, length),
+                start,
+                length,
+                heading,
+                figure
+            }));
+            finishExtraction(false);
+            return extractedText;
+        }
 
         extractedText = [];
-        for (let i = 1; i <= totalPages; i++) {
-            const page = await pdfDoc.getPage(i);
-            const textContent = await page.getTextContent();
+        extractedPageNumbers = [];
+        fullText = '';
+        paragraphIndex = [];
+
+        try {
+            startExtractionWorker(current);
+        } catch (error) {
+            console.warn('Extraction worker unavailable, extracting on the main thread:', error);
+            extractOnMainThread(current);
+        }
+        return extractedText;
+    }
 
-            // Process text items to preserve paragraphs
-            let pageText = '';
-            let lastY = null;
+    function startExtractionWorker(current) {
+        const worker = new Worker(EXTRACTION_WORKER_URL);
+        current.worker = worker;
 
-            for (const item of textContent.items) {
-                if (lastY !== null && Math.abs(item.transform[5] - lastY) > 12) {
-                    // New line detected
-                    pageText += '\n';
-                }
-                pageText += item.str + ' ';
-                lastY = item.transform[5];
+        worker.onmessage = ({ data: message }) => {
+            if (extraction !== current) return;
+
+            if (message.type === 'pages') {
+                appendPages(message.pages);
+                current.processed = message.processed;
+                notifyExtraction();
+            } else if (message.type === 'ocr') {
+                recognizeScannedPage(current, message.pageNumber).then(textContent => {
+                    if (extraction === current) worker.postMessage({ type: 'ocr', pageNumber: message.pageNumber, textContent });
+                });
+            } else if (message.type === 'done') {
+                finishExtraction(true);
+            } else if (message.type === 'error') {
+                restartOnMainThread(current, message.message);
             }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            if (extraction === current) restartOnMainThread(current, event.message);
+        };
+
+        // pdf.js may detach the buffer it was opened with, so send a fresh copy
+        pdfDoc.getData().then(data => {
+            if (extraction === current) worker.postMessage({ type: 'extract', data }, [data.buffer]);
+        });
+    }
 
-            // Clean up text
-            pageText = pageText
-                .replace(/\s+/g, ' ')
-                .replace(/\n\s+/g, '\n\n')
-                .trim();
+    // The worker failed (e.g. blocked on file:// or offline): start over here
+    function restartOnMainThread(current, reason) {
+        console.warn('Extraction worker failed, extracting on the main thread:', reason);
+        current.worker?.terminate();
+        current.worker = null;
 
-            // Only add non-empty pages (skip blank pages)
-            if (pageText.length > 10) {
-                extractedText.push(pageText);
-            }
+        extractedText = [];
+        extractedPageNumbers = [];
+        fullText = '';
+        paragraphIndex = [];
+        current.processed = 0;
+        current.ocrPages = 0;
+        extractOnMainThread(current);
+    }
+
+    async function extractOnMainThread(current) {
+        const doc = pdfDoc;
+        const reader = TextExtraction.createPageReader();
+        for (let i = 1; i <= doc.numPages; i++) {
+            const page = await doc.getPage(i);
+            let textContent = await page.getTextContent();
+            const images = await TextExtraction.getPageImages(page, pdfjsLib.OPS);
+            if (TextExtraction.isScanned(textContent, images)) textContent = await recognizeScannedPage(current, i);
+            page.cleanup(); // Drop the decoded images and fonts pdf.js keeps for the page
+            if (extraction !== current) return;
+
+            const ready = reader.addPage(i, textContent, images.figures, page.view);
+            if (i === doc.numPages) ready.push(...reader.finish());
+
+            const firstText = !extractedText.length && ready.length > 0;
+            appendPages(ready);
+            current.processed = i;
+            if (firstText || i % 20 === 0) notifyExtraction();
         }
+        finishExtraction(true);
+    }
 
-        return extractedText;
+    // Add extracted pages to the end of the book text (pages never share a paragraph)
+    function appendPages(pages) {
+        pages.forEach(({ pageNumber, text, paragraphs }) => {
+            const base = extractedText.length ? getFullText().length + 2 : 0;
+            fullText = extractedText.length ? `${getFullText()}\n\n${text}` : text;
+            extractedText.push(text);
+            extractedPageNumbers.push(pageNumber);
+
+            paragraphs.forEach(([start, length, heading, rect]) => {
+                paragraphIndex.push({
+                    text: text.substr(start, length),
+                    start: base + start,
+                    length,
+                    heading,
+                    figure: rect && { page: pageNumber, ...rect }
+                });
+            });
+        });
     }
 
-    // Paginate content to fit screen without scrolling
-    function paginateContent(container) {
-        // Get available height for content
-        const containerHeight = container.parentElement.clientHeight - 80;
-        const containerWidth = Math.min(700, container.parentElement.clientWidth - 100);
+    function finishExtraction(writeCache) {
+        const current = extraction;
+        current.worker?.terminate();
+        current.worker = null;
+        current.processed = current.total;
+        current.done = true;
+        OCR.terminate();
+
+        // Text with pages the OCR engine failed on isn't kept, so they're recognized next time
+        if (writeCache && currentBookId && !current.ocrError) {
+            writeTextCache(currentBookId, extractedText.map((text, i) => ({ pageNumber: extractedPageNumbers[i], text })), totalPages);
+        }
 
-        // Calculate approximate characters per page
-        // Slightly adjusted parameters for better mobile flow
-        const charsPerLine = Math.floor(containerWidth / (fontSize * 0.55));
-        const linesPerPage = Math.floor(containerHeight / (fontSize * lineHeight)) - 2;
-        const charsPerPage = Math.max(100, charsPerLine * linesPerPage * 0.85); // Minimum chars to avoid loops
+        notifyExtraction();
+        current.waiters.forEach(resolve => resolve());
+        current.waiters = [];
+    }
 
-        // Save old paginatedContent structure but with extra metadata
-        paginatedContent = [];
+    function cancelExtraction() {
+        if (!extraction) return;
+        extraction.worker?.terminate();
+        extraction.waiters.forEach(resolve => resolve());
+        extraction = null;
+        OCR.terminate();
+        textContainer = null;
+    }
 
-        let fullText = extractedText.join('\n\n');
+    // Resolves once the whole text of the open book is available
+    function whenTextReady() {
+        if (!extraction) return extractAllText().then(whenTextReady);
+        if (extraction.done) return Promise.resolve();
+        return new Promise(resolve => extraction.waiters.push(resolve));
+    }
 
-        // Split into paragraphs but keep track of their original indices
-        // We do this by regex to find start indices
-        const paragraphs = [];
-        let searchIndex = 0;
+    function isExtracting() {
+        return !!extraction && !extraction.done;
+    }
 
-        const rawParagraphs = fullText.split('\n\n');
+    // ocrPages counts the scanned pages found; ocrPage is the one being recognized, if any
+    function getExtractionProgress() {
+        if (!extraction) return { processed: 0, total: totalPages, done: false, ocrPages: 0, ocrPage: null };
+        const { processed, total, done, ocrPages, ocrPage } = extraction;
+        return { processed, total, done, ocrPages, ocrPage };
+    }
 
-        for (const p of rawParagraphs) {
-            const trimmed = p.trim();
-            if (!trimmed) {
-                // Advance index for empty lines (2 newlines)
-                searchIndex += p.length + 2;
-                continue;
+    // listener(progress) is called every time more text arrives and when extraction ends
+    function setExtractionListener(listener) {
+        extractionListener = listener;
+    }
+
+    // New text arrived: re-paginate and refresh whatever is waiting for it
+    function notifyExtraction() {
+        // Nothing to lay out while the reader is hidden
+        if (textContainer && textContainer.clientWidth > 0 && readingMode !== 'layout') {
+            const previousTotal = paginatedContent.length;
+            const wasReady = isScreenPageReady(currentScreenPage);
+            paginateContent(textContainer);
+
+            if (readingMode === 'scroll' && scrollState) {
+                extendScrollContent(previousTotal);
+            } else if (!wasReady) {
+                // Either the page's text has arrived or the notice needs a new percentage
+                renderTextContent(textContainer);
+            } else {
+                const indicator = textContainer.querySelector('.kindle-page-indicator');
+                if (indicator) indicator.textContent = formatScreenPageIndicator();
             }
+        }
 
-            // Find where this paragraph actually starts in fullText relative to current searchIndex
-            // Note: split removed delimiters, so we just add length
-            // But we need to be careful. Let's just assume rigid structure for now:
-            // The split consumes '\n\n'.
+        extractionListener?.(getExtractionProgress());
+    }
 
-            const startOffset = searchIndex;
-            paragraphs.push({
-                text: trimmed,
-                start: startOffset,
-                length: trimmed.length
-            });
+    // The last screen page keeps growing until extraction ends
+    function isScreenPageReady(pageNum) {
+        return !isExtracting() || pageNum < paginatedContent.length;
+    }
+
+    function formatScreenPageIndicator() {
+        return `${currentScreenPage} de ${totalScreenPages}${isExtracting() ? '…' : ''}`;
+    }
+
+    function createProcessingNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'kindle-processing';
+        const percent = extraction ? Math.round((extraction.processed / extraction.total) * 100) : 0;
+        const status = extraction?.ocrPage
+            ? `Reconhecendo o texto da página ${extraction.ocrPage} de ${extraction.total}…`
+            : `Processando o livro… ${percent}%`;
+        notice.innerHTML = `
+            <div class="loading-spinner"></div>
+            <p>${status}</p>
+            <small>Este trecho aparece assim que o texto for extraído.</small>
+        `;
+        return notice;
+    }
+
+    // Extraction ended without any text, e.g. a scan the OCR engine couldn't read
+    function createEmptyNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'kindle-processing';
+        const reason = extraction?.ocrError
+            ? 'O reconhecimento de texto (OCR) não está disponível.'
+            : 'Este PDF não tem texto que possa ser extraído.';
+        notice.innerHTML = `
+            <p>${reason}</p>
+            <small>Use o modo Original para ver as páginas.</small>
+        `;
+        return notice;
+    }
+
+    // ==========================================
+    // OCR
+    // ==========================================
+
+    // Text content of a scanned page: from the OCR cache when it was recognized in the
+    // same language, otherwise recognized now and cached
+    async function recognizePage(page, bookId, language) {
+        const cached = bookId ? await Storage.getOcrPage(bookId, page.pageNumber).catch(() => null) : null;
+        if (cached && cached.language === language) return { items: cached.items, styles: {} };
+
+        const textContent = await OCR.recognizePage(page, language);
+        if (bookId) {
+            Storage.saveOcrPage({ bookId, pageNumber: page.pageNumber, language, items: textContent.items })
+                .catch(error => console.warn('Could not save OCR text:', error));
+        }
+        return textContent;
+    }
 
-            searchIndex += p.length + 2;
+    // Recognize a scanned page of the open book, showing which one in the progress.
+    // A page that can't be recognized is left blank
+    async function recognizeScannedPage(current, pageNumber) {
+        current.ocrPages++;
+        current.ocrPage = pageNumber;
+        notifyExtraction();
+
+        let page = null;
+        try {
+            page = await pdfDoc.getPage(pageNumber);
+            return await recognizePage(page, currentBookId, ocrLanguage);
+        } catch (error) {
+            console.warn(`OCR failed on page ${pageNumber}:`, error);
+            current.ocrError = true;
+            return { items: [], styles: {} };
+        } finally {
+            page?.cleanup();
+            current.ocrPage = null;
         }
+    }
 
-        function isTitleText(text) {
-            const cleaned = text.replace(/[^a-zA-ZÀ-ÿ]/g, '');
-            if (cleaned.length < 3) return false;
-            const upperCount = (cleaned.match(/[A-ZÀ-Ý]/g) || []).length;
-            return upperCount / cleaned.length > 0.7 && text.length < 100;
+    // Language of the open book's scanned pages. Once some have been recognized,
+    // a new language means extracting the text again
+    async function setOcrLanguage(language, container = null) {
+        if (language === ocrLanguage) return;
+        ocrLanguage = language;
+        if (!extraction || !extraction.ocrPages) return;
+
+        // Offsets change with the new text: keep the position by its PDF page and text
+        const offset = getCurrentPageOffset();
+        if (offset >= 0) {
+            positionPdfPage = getPdfPageForOffset(offset);
+            positionSnippet = getAnchorSnippet(offset);
         }
+        positionOffset = null;
 
-        let currentPageContent = []; // Array of strings
-        let currentPageOffsetStart = -1;
-        let currentCharCount = 0;
+        cancelExtraction();
+        extractedText = [];
+        extractedPageNumbers = [];
+        fullText = null;
+        paragraphIndex = null;
+        paginationKey = null;
+        paginatedContent = [];
+        toc = [];
+        chapters = [];
+        if (container) await renderTextContent(container);
+    }
 
-        for (const paraObj of paragraphs) {
-            const { text, start, length } = paraObj;
+    function getOcrLanguage() {
+        return ocrLanguage;
+    }
 
-            if (currentPageOffsetStart === -1) currentPageOffsetStart = start;
+    // ==========================================
+    // Text Cache
+    // ==========================================
+
+    // Identifies the offset space of the book's text: offsets saved under another
+    // version (bookmarks, notes, highlights, the reading position) must be found
+    // again by their text before they're used. Without a language, the version of
+    // the open book's text, which won't match once OCR failed on some of its pages
+    function getTextVersion(language = null) {
+        if (language) return `${TEXT_CACHE_VERSION}/${language}`;
+        return `${TEXT_CACHE_VERSION}/${ocrLanguage}${extraction?.ocrError ? '/ocr-failed' : ''}`;
+    }
 
-            const isTitle = isTitleText(text);
+    // Text at an offset, saved along with it
+    function getAnchorSnippet(offset) {
+        return getFullText().substring(offset, offset + ANCHOR_SNIPPET_LENGTH).replace(/\s+/g, ' ').trim() || null;
+    }
 
-            // Title logic: start new page
-            if (isTitle && currentPageContent.length > 0) {
-                paginatedContent.push({
-                    content: currentPageContent,
-                    start: currentPageOffsetStart,
-                    end: start - 1
-                });
-                currentPageContent = [];
-                currentCharCount = 0;
-                currentPageOffsetStart = start;
+    // Cached text of a book, or null when missing, made by older extraction code
+    // or recognized (OCR) in another language
+    async function readTextCache(bookId, numPages, language) {
+        if (!bookId) return null;
+
+        try {
+            const cache = await Storage.getTextCache(bookId);
+            if (!cache || cache.version !== TEXT_CACHE_VERSION || cache.numPages !== numPages) return null;
+            if (cache.ocrPages && cache.ocrLanguage !== language) return null;
+            return cache;
+        } catch (error) {
+            console.warn('Could not read text cache:', error);
+            return null;
+        }
+    }
+
+    // Paragraphs are stored as [start, length, heading, figure?] to keep the record small
+    function writeTextCache(bookId, pages, numPages) {
+        Storage.saveTextCache({
+            bookId,
+            version: TEXT_CACHE_VERSION,
+            numPages,
+            pages,
+            paragraphs: getParagraphs().map(p => (p.figure ? [p.start, p.length, p.heading, p.figure] : [p.start, p.length, p.heading])),
+            ocrPages: extraction.ocrPages,
+            ocrLanguage,
+            createdAt: new Date().toISOString()
+        }).catch(error => console.warn('Could not save text cache:', error));
+    }
+
+    // Extract the text of every non-blank page of a loaded document
+    // as [{ pageNumber, text }], on the main thread (see getDocumentText)
+    async function extractDocumentText(doc, bookId, language) {
+        const reader = TextExtraction.createPageReader();
+        const pages = [];
+
+        for (let i = 1; i <= doc.numPages; i++) {
+            const page = await doc.getPage(i);
+            let textContent = await page.getTextContent();
+            const images = await TextExtraction.getPageImages(page, pdfjsLib.OPS);
+            if (TextExtraction.isScanned(textContent, images)) {
+                textContent = await recognizePage(page, bookId, language).catch(() => ({ items: [], styles: {} }));
             }
+            page.cleanup();
+            pages.push(...reader.addPage(i, textContent, images.figures, page.view));
+        }
 
-            // Page overflow logic
-            if (currentCharCount + length > charsPerPage && currentPageContent.length > 0) {
-                paginatedContent.push({
-                    content: currentPageContent,
-                    start: currentPageOffsetStart,
-                    end: start - 1
-                });
-                currentPageContent = [];
-                currentCharCount = 0;
-                currentPageOffsetStart = start;
+        return pages.concat(reader.finish()).map(({ pageNumber, text }) => ({ pageNumber, text }));
+    }
+
+    // Non-blank pages of a PDF that isn't open in the reader, as [{ pageNumber, text }].
+    // With a bookId, the book's text cache is used when it's up to date
+    async function getDocumentPages(arrayBuffer, bookId = null, language = OCR.DEFAULT_LANGUAGE) {
+        const doc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        try {
+            const cache = await readTextCache(bookId, doc.numPages, language);
+            return cache ? cache.pages : await extractDocumentText(doc, bookId, language);
+        } finally {
+            doc.destroy();
+            if (!isExtracting()) OCR.terminate();
+        }
+    }
+
+    // Full text of a PDF that isn't open in the reader (same offset space as getFullText)
+    async function getDocumentText(arrayBuffer, bookId = null, language = OCR.DEFAULT_LANGUAGE) {
+        const pages = await getDocumentPages(arrayBuffer, bookId, language);
+        return pages.map(p => p.text).join('\n\n');
+    }
+
+    // Paragraphs of the open book with their heading levels (0 for body text), which
+    // extraction fills in as it goes. Text without type information has no headings
+    function getParagraphs() {
+        if (!paragraphIndex) {
+            paragraphIndex = TextExtraction.splitParagraphs(getFullText()).map(p => ({ ...p, heading: 0 }));
+        }
+        return paragraphIndex;
+    }
+
+    // Paginate by laying the text out in an offscreen copy of the page and
+    // breaking at the last line that fits. Pages are re-measured only when the
+    // font or viewport changes; text that is still streaming in is appended.
+    function paginateContent(container) {
+        const key = [fontFamily, fontSize, lineHeight, margin, textAlign, paragraphIndent, paragraphSpacing, container.clientWidth, window.innerHeight, document.fonts.status].join('|');
+        const paragraphs = getParagraphs();
+
+        if (key !== paginationKey) {
+            paginatedContent = [];
+            paginationKey = key;
+        }
+
+        let resume = { index: 0, start: paragraphs[0]?.start ?? 0 };
+        if (paginatedContent.length > 0) {
+            if (paginatedParagraphs === paragraphs.length) {
+                clampScreenPage();
+                return;
+            }
+            // The last page stays open while more text may follow it
+            resume = paginatedContent.pop().resume;
+        }
+
+        const measurer = createPageSkeleton();
+        Object.assign(measurer.textWrapper.style, {
+            position: 'absolute',
+            top: '0',
+            left: '0',
+            width: `${container.clientWidth}px`,
+            visibility: 'hidden',
+            pointerEvents: 'none',
+            contain: 'layout paint'
+        });
+        container.appendChild(measurer.textWrapper);
+
+        const area = measurer.contentArea;
+        const limit = area.getBoundingClientRect().bottom;
+        figureMaxHeight = Math.floor(area.getBoundingClientRect().height);
+        let page = null; // { paragraphs, resume }
+
+        const flush = () => {
+            if (page && page.paragraphs.length > 0) pushPage(page);
+            page = null;
+            area.replaceChildren();
+        };
+
+        for (let i = resume.index; i < paragraphs.length; i++) {
+            const para = paragraphs[i];
+            let start = i === resume.index ? resume.start : para.start;
+            let text = para.text.substring(start - para.start);
+
+            // Top-level headings (chapters) start a new page
+            if (para.heading === 1 && start === para.start && page && page.paragraphs.length > 0) flush();
+
+            // Figures are sized to fit a page and never split: one that doesn't fit moves on
+            if (para.figure) {
+                if (!page) page = { paragraphs: [], resume: { index: i, start } };
+                const el = area.appendChild(createParagraphElement(para, page.paragraphs.length));
+                if (el.getBoundingClientRect().bottom > limit && page.paragraphs.length > 0) {
+                    flush();
+                    page = { paragraphs: [], resume: { index: i, start } };
+                    area.appendChild(createParagraphElement(para, 0));
+                }
+                page.paragraphs.push(para);
+                continue;
             }
 
-            // Long paragraph splitting logic
-            if (length > charsPerPage) {
-                // If we have content, flush it first
-                if (currentPageContent.length > 0) {
-                    paginatedContent.push({
-                        content: currentPageContent,
-                        start: currentPageOffsetStart,
-                        end: start - 1
-                    });
-                    currentPageContent = [];
-                    currentCharCount = 0;
+            while (text) {
+                if (!page) page = { paragraphs: [], resume: { index: i, start } };
+
+                const chunk = { text, start, heading: para.heading };
+                const el = createParagraphElement(chunk, page.paragraphs.length);
+                area.appendChild(el);
+
+                if (el.getBoundingClientRect().bottom <= limit) {
+                    page.paragraphs.push(chunk);
+                    break;
                 }
 
-                // Initial start for this split
-                let currentSplitStart = start;
-                let remaining = text;
-
-                while (remaining.length > 0) {
-                    let breakPoint = Math.min(remaining.length, charsPerPage);
-
-                    if (breakPoint < remaining.length) {
-                        const sentenceEnd = remaining.lastIndexOf('. ', breakPoint);
-                        if (sentenceEnd > charsPerPage * 0.5) breakPoint = sentenceEnd + 1;
-                        else {
-                            const wordBreak = remaining.lastIndexOf(' ', breakPoint);
-                            if (wordBreak > charsPerPage * 0.5) breakPoint = wordBreak;
-                        }
-                    }
-
-                    const chunk = remaining.substring(0, breakPoint).trim();
-                    const chunkLength = chunk.length;
-
-                    if (chunk) {
-                        paginatedContent.push({
-                            content: [chunk],
-                            start: currentSplitStart,
-                            end: currentSplitStart + chunkLength // Approximate
-                        });
-                    }
-
-                    currentSplitStart += breakPoint; // Move offset forward
-                    remaining = remaining.substring(breakPoint).trim();
+                let split = findLineBreak(el.firstChild, limit);
+                if (split === 0 && page.paragraphs.length > 0) {
+                    // Not even one line fits under what's already here
+                    flush();
+                    continue;
+                }
+                if (split === 0) {
+                    // A single line taller than the page: give it a page of its own
+                    split = findLineBreak(el.firstChild, lineBottom(el.firstChild, 0));
+                }
+                if (split >= text.length) {
+                    // Only the paragraph's margin spills over
+                    page.paragraphs.push(chunk);
+                    flush();
+                    break;
                 }
 
-                // Reset for next
-                currentPageOffsetStart = -1;
+                page.paragraphs.push({ text: text.substring(0, split).trimEnd(), start, heading: para.heading, continues: true });
+                flush();
 
-            } else {
-                currentPageContent.push(text);
-                currentCharCount += length + 50;
+                const rest = text.substring(split);
+                start += split + (rest.length - rest.trimStart().length);
+                text = rest.trimStart();
             }
         }
 
-        // Push last page
-        if (currentPageContent.length > 0 && currentPageOffsetStart !== -1) {
-            paginatedContent.push({
-                content: currentPageContent,
-                start: currentPageOffsetStart,
-                end: searchIndex // end of text
-            });
-        }
-
-        // Filter empty
-        paginatedContent = paginatedContent.filter(p => p.content.join('').length > 5);
+        if (page && page.paragraphs.length > 0) pushPage(page);
+        measurer.textWrapper.remove();
 
+        paginatedParagraphs = paragraphs.length;
         totalScreenPages = paginatedContent.length;
+        clampScreenPage();
+    }
+
+    function pushPage({ paragraphs, resume }) {
+        const start = paragraphs[0].start;
+        const previous = paginatedContent[paginatedContent.length - 1];
+        if (previous) previous.end = start - 1;
+
+        paginatedContent.push({
+            content: paragraphs.map(p => p.text),
+            paragraphs,
+            start,
+            end: getFullText().length, // Until the next page is added
+            resume
+        });
+    }
 
-        if (currentScreenPage > totalScreenPages) currentScreenPage = totalScreenPages;
+    function clampScreenPage() {
+        // While extracting, the current page may lie beyond the text received so far
+        if (currentScreenPage > totalScreenPages && !isExtracting()) currentScreenPage = totalScreenPages;
         if (currentScreenPage < 1) currentScreenPage = 1;
     }
 
+    // Index of the first character of a text node laid out below `limit`.
+    // It always starts a line, so splitting there never cuts a line in two.
+    // Returns 0 when no line fits and the text length when every glyph fits
+    function findLineBreak(node, limit) {
+        let low = 0;
+        let high = node.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (lineBottom(node, mid) > limit) high = mid;
+            else low = mid + 1;
+        }
+        return low;
+    }
+
+    // Bottom of the line holding a character
+    function lineBottom(node, index) {
+        return charRect(node, index)?.bottom ?? -Infinity;
+    }
+
+    // Box of a character. Whitespace may collapse at a line break, so it's
+    // measured by the next visible character instead (null when there is none)
+    function charRect(node, index) {
+        const text = node.nodeValue;
+        while (index < text.length && /\s/.test(text[index])) index++;
+        if (index >= text.length) return null;
+
+        const range = document.createRange();
+        range.setStart(node, index);
+        range.setEnd(node, index + 1);
+        return range.getBoundingClientRect();
+    }
+
     // Render text content with Kindle-style formatting
     async function renderTextContent(container) {
         container.innerHTML = '';
+        scrollState = null;
+        destroyLayout();
 
-        if (extractedText.length === 0) {
-            await extractAllText();
+        if (!extraction) await extractAllText();
+        textContainer = container;
+
+        if (readingMode === 'layout') {
+            await renderLayoutContent(container);
+            return;
         }
 
-        // Always paginate for screen-fit display
+        // Always paginate: scroll mode virtualizes by the same screen pages.
+        // Measuring with a fallback font would break pages in the wrong places
+        await document.fonts.load(`${fontSize}px '${fontFamily}'`).catch(() => { });
+        await document.fonts.ready;
         paginateContent(container);
 
+        currentScreenPage = getPositionScreenPage();
+
+        if (readingMode === 'scroll') {
+            renderScrollContent(container);
+            return;
+        }
+
+        if (!isScreenPageReady(currentScreenPage)) {
+            container.appendChild(createProcessingNotice());
+            return;
+        }
+
+        if (!paginatedContent.length) {
+            container.appendChild(createEmptyNotice());
+            return;
+        }
+
         // Get content for current screen page
         const pageObj = paginatedContent[currentScreenPage - 1];
-        const pageContent = pageObj ? pageObj.content : [];
+        const pageParagraphs = pageObj ? pageObj.paragraphs : [];
+        const { textWrapper, contentArea } = createPageSkeleton();
 
-        const textWrapper = document.createElement('div');
-        textWrapper.className = 'kindle-text-wrapper kindle-paginated';
-        textWrapper.style.cssText = `
-            font-family: '${fontFamily}', Georgia, serif;
-            font-size: ${fontSize}px;
-            line-height: ${lineHeight};
-            max-width: 700px;
-            margin: 0 auto;
-            padding: 20px 50px 10px 50px;
-            text-align: justify;
-            color: var(--color-text-primary);
+        // Add paragraphs to content area
+        pageParagraphs.forEach((para, index) => {
+            contentArea.appendChild(createParagraphElement(para, index));
+        });
+
+        paintDecorations(contentArea);
+        container.appendChild(textWrapper);
+        loadFigures(contentArea);
+    }
+
+    // Page frame shared by the rendered page and the pagination measurer
+    function createPageSkeleton() {
+        const textWrapper = createTextWrapper('kindle-paginated');
+        textWrapper.style.cssText += `
             height: calc(100vh - 190px);
             overflow: hidden;
             display: flex;
@@ -276,47 +756,6 @@ const PDFHandler = (() => {
             flex: 1;
             overflow: hidden;
         `;
-
-        // Helper function to detect if text is a title (mostly uppercase)
-        function isTitle(text) {
-            const cleaned = text.replace(/[^a-zA-ZÀ-ÿ]/g, '');
-            if (cleaned.length < 3) return false;
-            const upperCount = (cleaned.match(/[A-ZÀ-Ý]/g) || []).length;
-            return upperCount / cleaned.length > 0.7 && text.length < 100;
-        }
-
-        // Add paragraphs to content area
-        pageContent.forEach((para, index) => {
-            const trimmedPara = para.trim();
-
-            if (isTitle(trimmedPara)) {
-                // Format as title/heading
-                const h = document.createElement('h2');
-                h.style.cssText = `
-                    font-family: 'Cormorant Garamond', Georgia, serif;
-                    font-size: ${fontSize * 1.4}px;
-                    font-weight: 700;
-                    text-align: center;
-                    margin: 1.2em 0 0.8em 0;
-                    letter-spacing: 0.05em;
-                    color: var(--color-text-primary);
-                    text-transform: uppercase;
-                `;
-                h.textContent = trimmedPara;
-                contentArea.appendChild(h);
-            } else {
-                // Regular paragraph
-                const p = document.createElement('p');
-                p.style.cssText = `
-                    text-indent: ${index === 0 ? '0' : '2em'};
-                    margin-bottom: 0.8em;
-                    word-wrap: break-word;
-                `;
-                p.textContent = trimmedPara;
-                contentArea.appendChild(p);
-            }
-        });
-
         textWrapper.appendChild(contentArea);
 
         // Add page number indicator at bottom (fixed position)
@@ -332,10 +771,805 @@ const PDFHandler = (() => {
             color: var(--color-text-muted);
             border-top: 1px solid var(--color-border);
         `;
-        pageIndicator.textContent = `${currentScreenPage} de ${totalScreenPages}`;
+        pageIndicator.textContent = formatScreenPageIndicator();
         textWrapper.appendChild(pageIndicator);
 
+        return { textWrapper, contentArea, pageIndicator };
+    }
+
+    function createTextWrapper(modeClass) {
+        const textWrapper = document.createElement('div');
+        textWrapper.className = `kindle-text-wrapper ${modeClass}`;
+        textWrapper.style.cssText = `
+            font-family: '${fontFamily}', Georgia, serif;
+            font-size: ${fontSize}px;
+            line-height: ${lineHeight};
+            width: 100%;
+            max-width: 700px;
+            margin: 0 auto;
+            padding: 20px ${margin}px 10px ${margin}px;
+            text-align: ${textAlign};
+            color: var(--color-text-primary);
+        `;
+        return textWrapper;
+    }
+
+    // Build the <h1>-<h3>/<p>/<figure> for a paragraph (or the part of it on a page), tagged with its global offset.
+    // A part that continues on the next page keeps its last line justified, like the rest of it
+    function createParagraphElement({ text, start, heading, continues, figure }, index) {
+        if (figure) return createFigureElement(figure, start);
+        const trimmedPara = text.trim();
+
+        if (heading) {
+            const h = document.createElement(`h${heading}`);
+            h.style.cssText = `
+                font-family: 'Cormorant Garamond', Georgia, serif;
+                font-size: ${fontSize * HEADING_SCALES[heading - 1]}px;
+                font-weight: 700;
+                text-align: ${heading === 3 ? 'left' : 'center'};
+                margin: 1.2em 0 0.8em 0;
+                letter-spacing: 0.02em;
+                color: var(--color-text-primary);
+            `;
+            h.textContent = trimmedPara;
+            h.dataset.offset = start;
+            return h;
+        }
+
+        // Regular paragraph
+        const p = document.createElement('p');
+        p.style.cssText = `
+            text-indent: ${index === 0 ? '0' : `${paragraphIndent}em`};
+            margin-bottom: ${continues ? '0' : `${paragraphSpacing}em`};
+            word-wrap: break-word;
+            ${continues && textAlign === 'justify' ? 'text-align-last: justify;' : ''}
+        `;
+        p.textContent = trimmedPara;
+        p.dataset.offset = start;
+        return p;
+    }
+
+    // ==========================================
+    // Figures
+    // ==========================================
+
+    // A figure scaled to the column width. Its size comes from the figure's aspect ratio,
+    // so pages can be measured before the image is drawn (see loadFigures)
+    function createFigureElement(figure, start) {
+        const el = document.createElement('figure');
+        el.className = 'kindle-figure';
+        el.dataset.offset = start;
+        el.dataset.figure = JSON.stringify(figure);
+        el.style.cssText = `margin: 0 0 ${paragraphSpacing}em 0;`;
+
+        const img = document.createElement('img');
+        img.alt = 'Figura';
+        img.style.cssText = `
+            display: block;
+            width: 100%;
+            aspect-ratio: ${figure.width} / ${figure.height};
+            ${figureMaxHeight ? `max-height: ${figureMaxHeight}px;` : ''}
+            object-fit: contain;
+            cursor: zoom-in;
+        `;
+        el.appendChild(img);
+        return el;
+    }
+
+    // Draw the figures under root, which must be in the document so they can be measured
+    function loadFigures(root) {
+        root.querySelectorAll('.kindle-figure').forEach(el => {
+            const img = el.querySelector('img');
+            const figure = JSON.parse(el.dataset.figure);
+            const width = Math.ceil((img.clientWidth || figure.width) * (window.devicePixelRatio || 1));
+            renderFigure(figure, width)
+                .then(url => { img.src = url; })
+                .catch(error => console.warn('Could not render figure:', error));
+        });
+    }
+
+    // Crop a figure from its PDF page, `width` pixels wide. Resolves to an object URL
+    function renderFigure(figure, width) {
+        const key = `${figure.page}:${figure.x}:${figure.y}:${width}`;
+        if (!figureImages.has(key)) {
+            figureImages.set(key, new Promise((resolve, reject) => queueFigure({ figure, width, resolve, reject })));
+        }
+        return figureImages.get(key);
+    }
+
+    // Figures asked for together (a screen page's) are cropped from a single render of their PDF page
+    function queueFigure(request) {
+        const pageNumber = request.figure.page;
+        let batch = figureBatches.get(pageNumber);
+
+        if (!batch) {
+            batch = [];
+            figureBatches.set(pageNumber, batch);
+            const doc = pdfDoc;
+            queueMicrotask(() => {
+                if (figureBatches.get(pageNumber) === batch) figureBatches.delete(pageNumber);
+                cropFigures(doc, pageNumber, batch).catch(error => batch.forEach(({ reject }) => reject(error)));
+            });
+        }
+        batch.push(request);
+    }
+
+    // Draw the part of the page covering every requested figure, at the scale the largest
+    // request needs (as far as MAX_FIGURE_PIXELS allows), then cut each figure out of it
+    async function cropFigures(doc, pageNumber, requests) {
+        const figures = requests.map(request => request.figure);
+        const x1 = Math.min(...figures.map(f => f.x));
+        const y1 = Math.min(...figures.map(f => f.y));
+        const x2 = Math.max(...figures.map(f => f.x + f.width));
+        const y2 = Math.max(...figures.map(f => f.y + f.height));
+        const wanted = Math.max(...requests.map(({ figure, width }) => Math.max(width, 1) / figure.width));
+        const scale = Math.min(wanted, Math.sqrt(MAX_FIGURE_PIXELS / ((x2 - x1) * (y2 - y1))));
+
+        const page = await doc.getPage(pageNumber);
+        try {
+            const viewport = page.getViewport({ scale });
+            const [left, top] = viewport.convertToViewportPoint(x1, y2);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil((x2 - x1) * scale);
+            canvas.height = Math.ceil((y2 - y1) * scale);
+
+            // The page is drawn shifted so the figures' area lands on the canvas
+            await page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport,
+                transform: [1, 0, 0, 1, -left, -top]
+            }).promise;
+
+            for (const { figure, width, resolve } of requests) {
+                const crop = document.createElement('canvas');
+                crop.width = Math.max(width, 1);
+                crop.height = Math.ceil(crop.width * figure.height / figure.width);
+                crop.getContext('2d').drawImage(
+                    canvas,
+                    (figure.x - x1) * scale, (y2 - figure.y - figure.height) * scale,
+                    figure.width * scale, figure.height * scale,
+                    0, 0, crop.width, crop.height
+                );
+                const blob = await new Promise(done => crop.toBlob(done));
+                resolve(URL.createObjectURL(blob));
+            }
+        } finally {
+            page.cleanup();
+        }
+    }
+
+    // ==========================================
+    // Continuous Scroll Mode (virtualized)
+    // ==========================================
+
+    // Render the whole book as one flow, keeping only the screen pages
+    // near the viewport in the DOM. Spacers stand in for the rest, sized
+    // from measured heights (or an estimate until a block has been seen).
+    function renderScrollContent(container) {
+        const scroller = container.parentElement;
+        const textWrapper = createTextWrapper('kindle-scroll');
+
+        const topSpacer = document.createElement('div');
+        const contentArea = document.createElement('div');
+        contentArea.className = 'kindle-content-area';
+        const bottomSpacer = document.createElement('div');
+
+        textWrapper.append(topSpacer, contentArea, bottomSpacer);
         container.appendChild(textWrapper);
+
+        // Text still streaming in: the flow ends with a notice until it's complete
+        const notice = isExtracting() ? createProcessingNotice() : null;
+        if (notice) textWrapper.appendChild(notice);
+        else if (!paginatedContent.length) textWrapper.appendChild(createEmptyNotice());
+
+        scrollState = {
+            scroller,
+            contentArea,
+            topSpacer,
+            bottomSpacer,
+            notice,
+            heights: new Array(totalScreenPages).fill(null),
+            tops: [],
+            blocks: new Map(), // screen page index -> rendered block element
+            first: -1,
+            last: -1,
+            pending: false // Waiting for the reading position's text to be extracted
+        };
+
+        if (!isScreenPageReady(currentScreenPage)) {
+            scrollState.pending = true;
+            renderScrollWindow(Math.max(0, totalScreenPages - 1));
+            scroller.scrollTop = scroller.scrollHeight;
+            return;
+        }
+
+        showScrollPosition();
+    }
+
+    // Bring the reading position to the top of the viewport
+    function showScrollPosition() {
+        const index = currentScreenPage - 1;
+        scrollState.first = -1;
+        renderScrollWindow(index);
+        scrollState.scroller.scrollTop = getBlockTop(index);
+        scrollToOffset(positionOffset);
+    }
+
+    // Grow the flow as extraction adds screen pages. The previous last page
+    // may have grown or been split, so it's measured and rendered again
+    function extendScrollContent(previousTotal) {
+        const state = scrollState;
+        const firstChanged = Math.max(0, previousTotal - 1);
+
+        state.heights = state.heights.slice(0, firstChanged)
+            .concat(new Array(Math.max(0, totalScreenPages - firstChanged)).fill(null));
+        [...state.blocks.keys()].forEach(i => { if (i >= firstChanged) state.blocks.delete(i); });
+
+        if (!isExtracting() && state.notice) {
+            if (paginatedContent.length) state.notice.remove();
+            else state.notice.replaceWith(createEmptyNotice());
+            state.notice = null;
+        } else if (state.notice) {
+            const notice = createProcessingNotice();
+            state.notice.replaceWith(notice);
+            state.notice = notice;
+        }
+
+        if (state.pending) {
+            const page = getPositionScreenPage();
+            if (isScreenPageReady(page)) {
+                state.pending = false;
+                currentScreenPage = page;
+                showScrollPosition();
+                return;
+            }
+        }
+
+        if (!state.pending && state.last >= firstChanged) {
+            // Keep the block under the viewport steady while the window is rebuilt
+            const index = getBlockAtScroll();
+            const offsetInBlock = state.scroller.scrollTop - getBlockTop(index);
+            state.first = -1;
+            renderScrollWindow(index);
+            state.scroller.scrollTop = getBlockTop(index) + offsetInBlock;
+        } else {
+            if (state.pending) {
+                state.first = -1;
+                renderScrollWindow(Math.max(0, totalScreenPages - 1));
+            }
+            layoutScrollSpacers();
+        }
+    }
+
+    // Render the blocks around `index`, reusing those already in the DOM.
+    // Returns false when the window was already in place
+    function renderScrollWindow(index) {
+        const state = scrollState;
+        const first = Math.max(0, index - SCROLL_BUFFER_PAGES);
+        const last = Math.min(totalScreenPages - 1, index + SCROLL_BUFFER_PAGES);
+        if (first === state.first && last === state.last) return false;
+
+        const blocks = new Map();
+        const created = [];
+        const fragment = document.createDocumentFragment();
+
+        for (let i = first; i <= last; i++) {
+            let block = state.blocks.get(i);
+            if (!block) {
+                block = document.createElement('div');
+                block.className = 'kindle-scroll-block';
+                block.dataset.page = i + 1;
+                paginatedContent[i].paragraphs.forEach((para, paraIndex) => {
+                    block.appendChild(createParagraphElement(para, paraIndex));
+                });
+                paintDecorations(block);
+                created.push(block);
+            }
+            blocks.set(i, block);
+            fragment.appendChild(block);
+        }
+
+        state.contentArea.replaceChildren(fragment);
+        created.forEach(loadFigures);
+        state.blocks = blocks;
+        state.first = first;
+        state.last = last;
+
+        blocks.forEach((block, i) => { state.heights[i] = block.offsetHeight; });
+        layoutScrollSpacers();
+        return true;
+    }
+
+    function layoutScrollSpacers() {
+        const state = scrollState;
+        const measured = state.heights.filter(h => h !== null);
+        const estimate = measured.length > 0
+            ? measured.reduce((sum, h) => sum + h, 0) / measured.length
+            : state.scroller.clientHeight;
+
+        state.tops = [];
+        let top = 0;
+        let topSpace = 0;
+        let bottomSpace = 0;
+
+        state.heights.forEach((h, i) => {
+            state.tops.push(top);
+            const height = h ?? estimate;
+            top += height;
+            if (i < state.first) topSpace += height;
+            if (i > state.last) bottomSpace += height;
+        });
+
+        state.topSpacer.style.height = `${topSpace}px`;
+        state.bottomSpacer.style.height = `${bottomSpace}px`;
+    }
+
+    // Scroll position of a block (the scroller is the blocks' offsetParent)
+    function getBlockTop(index) {
+        const state = scrollState;
+        return state.topSpacer.offsetTop + (state.tops[index] || 0);
+    }
+
+    // Index of the block under the top edge of the viewport
+    function getBlockAtScroll() {
+        const state = scrollState;
+        const y = state.scroller.scrollTop - state.topSpacer.offsetTop + 1;
+        let index = 0;
+        while (index < state.tops.length - 1 && state.tops[index + 1] <= y) index++;
+        return index;
+    }
+
+    // Update current page based on scroll position (scroll mode only)
+    function updateCurrentPageFromScroll() {
+        if (readingMode === 'layout' && layoutState) {
+            const { page, fraction } = getLayoutPosition();
+            const previous = positionOffset;
+            setLayoutPosition(page, fraction);
+            if (positionOffset !== previous) scheduleProgressSave();
+            return;
+        }
+
+        if (readingMode !== 'scroll' || !scrollState || scrollState.pending) return;
+
+        const state = scrollState;
+        const index = getBlockAtScroll();
+
+        // Keep the block under the viewport steady while the window shifts
+        const offsetInBlock = state.scroller.scrollTop - getBlockTop(index);
+        if (renderScrollWindow(index)) {
+            state.scroller.scrollTop = getBlockTop(index) + offsetInBlock;
+        }
+
+        currentScreenPage = index + 1;
+        const offset = getScrollTopOffset();
+        if (offset !== -1 && offset !== positionOffset) {
+            positionOffset = offset;
+            scheduleProgressSave();
+        }
+    }
+
+    // Offset of the first line visible at the top of the scroll viewport
+    function getScrollTopOffset() {
+        const state = scrollState;
+        const scrollerTop = state.scroller.getBoundingClientRect().top;
+
+        for (const el of state.contentArea.querySelectorAll('[data-offset]')) {
+            if (el.getBoundingClientRect().bottom > scrollerTop) {
+                return parseInt(el.dataset.offset) + textIndexBelow(el, scrollerTop);
+            }
+        }
+        const pageObj = paginatedContent[currentScreenPage - 1];
+        return pageObj ? pageObj.start : -1;
+    }
+
+    // Index in el's text of the first character on a line ending below `y`
+    function textIndexBelow(el, y) {
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        let index = 0;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const split = findLineBreak(node, y);
+            if (split < node.length) return index + split;
+            index += node.length;
+        }
+        return 0;
+    }
+
+    // Scroll so the line holding a global offset sits at the top of the viewport
+    function scrollToOffset(offset) {
+        if (offset === null) return;
+        const state = scrollState;
+        const el = [...state.contentArea.querySelectorAll('[data-offset]')]
+            .find(candidate => parseInt(candidate.dataset.offset) + candidate.textContent.length > offset);
+        if (!el) return;
+
+        let rect = el.getBoundingClientRect();
+        let index = offset - parseInt(el.dataset.offset);
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node && index >= 0; node = walker.nextNode()) {
+            if (index < node.length) rect = charRect(node, index) || rect;
+            index -= node.length;
+        }
+
+        state.scroller.scrollTop += rect.top - state.scroller.getBoundingClientRect().top;
+    }
+
+    // ==========================================
+    // Original Layout Mode (canvas)
+    // ==========================================
+
+    // Render every PDF page as a placeholder; canvases and text layers are
+    // drawn when a page scrolls near the viewport and dropped when it leaves
+    async function renderLayoutContent(container) {
+        const scroller = container.parentElement;
+        const firstPage = await pdfDoc.getPage(1);
+        const baseViewport = firstPage.getViewport({ scale: 1 });
+
+        scale = computeScale(scroller, baseViewport);
+
+        const pagesWrapper = document.createElement('div');
+        pagesWrapper.className = 'pdf-layout';
+
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) renderLayoutPage(entry.target);
+                else releaseLayoutPage(entry.target);
+            });
+        }, { root: scroller, rootMargin: '100% 0px' });
+
+        const pages = [];
+        for (let i = 1; i <= totalPages; i++) {
+            const pageDiv = document.createElement('div');
+            pageDiv.className = 'pdf-page';
+            pageDiv.dataset.page = i;
+            pageDiv.style.width = `${Math.floor(baseViewport.width * scale)}px`;
+            pageDiv.style.height = `${Math.floor(baseViewport.height * scale)}px`;
+            pagesWrapper.appendChild(pageDiv);
+            pages.push(pageDiv);
+        }
+
+        container.appendChild(pagesWrapper);
+        layoutState = { scroller, pages, observer, renderTasks: new Map() };
+        pages.forEach(pageDiv => observer.observe(pageDiv));
+
+        const { page, fraction } = getPositionInLayout();
+        scrollToLayoutPage(page, fraction);
+    }
+
+    function computeScale(scroller, baseViewport) {
+        const styles = getComputedStyle(scroller);
+        const availableWidth = scroller.clientWidth
+            - parseFloat(styles.paddingLeft) - parseFloat(styles.paddingRight);
+        const availableHeight = scroller.clientHeight
+            - parseFloat(styles.paddingTop) - parseFloat(styles.paddingBottom);
+
+        let newScale = scale;
+        if (zoomMode === 'fit-width') {
+            newScale = availableWidth / baseViewport.width;
+        } else if (zoomMode === 'fit-page') {
+            newScale = Math.min(availableWidth / baseViewport.width, availableHeight / baseViewport.height);
+        }
+        return Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
+    }
+
+    async function renderLayoutPage(pageDiv) {
+        const state = layoutState;
+        if (!state || pageDiv.dataset.renderedScale === String(scale)) return;
+        pageDiv.dataset.renderedScale = scale;
+
+        const pageNum = parseInt(pageDiv.dataset.page);
+        const page = await pdfDoc.getPage(pageNum);
+        if (layoutState !== state) return;
+
+        const viewport = page.getViewport({ scale });
+        const outputScale = window.devicePixelRatio || 1;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        const textLayer = document.createElement('div');
+        textLayer.className = 'textLayer';
+        textLayer.style.setProperty('--scale-factor', viewport.scale);
+
+        pageDiv.style.width = `${Math.floor(viewport.width)}px`;
+        pageDiv.style.height = `${Math.floor(viewport.height)}px`;
+        pageDiv.replaceChildren(canvas, textLayer);
+
+        const renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+        state.renderTasks.set(pageDiv, renderTask);
+
+        try {
+            await renderTask.promise;
+            await pdfjsLib.renderTextLayer({
+                textContentSource: page.streamTextContent(),
+                container: textLayer,
+                viewport,
+                textDivs: []
+            }).promise;
+        } catch (error) {
+            if (error?.name !== 'RenderingCancelledException') console.error('Error rendering page:', error);
+        } finally {
+            state.renderTasks.delete(pageDiv);
+        }
+    }
+
+    function releaseLayoutPage(pageDiv) {
+        if (!pageDiv.dataset.renderedScale) return;
+        layoutState?.renderTasks.get(pageDiv)?.cancel();
+        delete pageDiv.dataset.renderedScale;
+        pageDiv.replaceChildren();
+    }
+
+    function destroyLayout() {
+        if (!layoutState) return;
+        layoutState.observer.disconnect();
+        layoutState.renderTasks.forEach(task => task.cancel());
+        layoutState = null;
+    }
+
+    function scrollToLayoutPage(pageNum, fraction = 0) {
+        const pageDiv = layoutState?.pages[pageNum - 1];
+        if (!pageDiv) return;
+        layoutState.scroller.scrollTop = pageDiv.offsetTop + fraction * pageDiv.offsetHeight;
+        currentPage = pageNum;
+    }
+
+    // PDF page under the top edge of the viewport, and how far into it we are
+    function getLayoutPosition() {
+        const { scroller, pages } = layoutState;
+        const y = scroller.scrollTop + 1;
+        let index = 0;
+        while (index < pages.length - 1 && pages[index + 1].offsetTop <= y) index++;
+
+        const pageDiv = pages[index];
+        const fraction = Math.max(0, (scroller.scrollTop - pageDiv.offsetTop) / pageDiv.offsetHeight);
+        return { page: index + 1, fraction };
+    }
+
+    // Reading position from a spot in layout mode: `fraction` of the way into a PDF page
+    function setLayoutPosition(page, fraction = 0) {
+        currentPage = page;
+        positionPdfPage = page;
+
+        const index = extractedPageNumbers.indexOf(page);
+        if (index !== -1) {
+            positionOffset = getOffsetForPdfPage(page) + Math.floor(fraction * extractedText[index].length);
+        } else {
+            // Blank page or text not extracted yet
+            positionOffset = null;
+            resolvePosition();
+        }
+    }
+
+    // PDF page holding the reading position, and how far into the page's text it lies
+    function getPositionInLayout() {
+        resolvePosition();
+        if (positionOffset === null || (isExtracting() && positionOffset >= getFullText().length)) {
+            return { page: positionPdfPage, fraction: 0 };
+        }
+
+        const page = getPdfPageForOffset(positionOffset);
+        const index = extractedPageNumbers.indexOf(page);
+        if (index === -1) return { page, fraction: 0 };
+
+        const fraction = (positionOffset - getOffsetForPdfPage(page)) / extractedText[index].length;
+        return { page, fraction: Math.max(0, Math.min(1, fraction)) };
+    }
+
+    // Change zoom, keeping the same spot of the same page in view
+    async function setZoom(mode, container, newScale = scale) {
+        const position = layoutState ? getLayoutPosition() : { page: currentPage, fraction: 0 };
+
+        zoomMode = mode;
+        if (mode === 'custom') scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
+
+        currentPage = position.page;
+        await renderTextContent(container);
+        scrollToLayoutPage(position.page, position.fraction);
+        return scale;
+    }
+
+    function zoomIn(container) { return setZoom('custom', container, scale * ZOOM_STEP); }
+    function zoomOut(container) { return setZoom('custom', container, scale / ZOOM_STEP); }
+
+    // ==========================================
+    // PDF Page <-> Text Offset Mapping
+    // ==========================================
+
+    // Global offset where the text of a PDF page starts (blank pages map to the next page with text)
+    function getOffsetForPdfPage(pageNum) {
+        let offset = 0;
+        for (let i = 0; i < extractedText.length; i++) {
+            if (extractedPageNumbers[i] >= pageNum) return offset;
+            offset += extractedText[i].length + 2;
+        }
+        return Math.max(0, offset - 2);
+    }
+
+    // PDF page whose text contains a global offset
+    function getPdfPageForOffset(offset) {
+        let pageStart = 0;
+        for (let i = 0; i < extractedText.length; i++) {
+            const pageEnd = pageStart + extractedText[i].length + 2;
+            if (offset < pageEnd) return extractedPageNumbers[i];
+            pageStart = pageEnd;
+        }
+        return extractedPageNumbers[extractedPageNumbers.length - 1] || 1;
+    }
+
+    // ==========================================
+    // Reading Position
+    // ==========================================
+
+    // Position to show on the next render. The offset is exact; the PDF page stands in
+    // for it in layout mode before the text arrives and for progress saved without one.
+    // A position saved against another version of the text comes without an offset,
+    // with the snippet of text it was at instead
+    function restorePosition(offset, pdfPage = 1, snippet = null) {
+        positionOffset = offset ?? null;
+        positionPdfPage = pdfPage || 1;
+        positionSnippet = offset == null ? snippet : null;
+    }
+
+    // Turn a position known only by its PDF page (and snippet) into an offset once
+    // that page's text is in
+    function resolvePosition() {
+        if (positionOffset !== null || !extraction) return;
+        const lastExtracted = extractedPageNumbers[extractedPageNumbers.length - 1] || 0;
+        // A snippet may run on into the next page
+        const needed = positionSnippet ? positionPdfPage + 1 : positionPdfPage;
+        if (!isExtracting() || lastExtracted >= needed) {
+            const pageOffset = getOffsetForPdfPage(positionPdfPage);
+            positionOffset = positionSnippet ? findSnippetNear(positionSnippet, pageOffset) : pageOffset;
+            positionSnippet = null;
+        }
+    }
+
+    // Offset of a snippet of text around `offset`, or `offset` itself when it's not there
+    function findSnippetNear(snippet, offset) {
+        const from = Math.max(0, offset - ANCHOR_WINDOW);
+        const haystack = Search.normalize(getFullText().substring(from, offset + ANCHOR_WINDOW), { collapseWhitespace: true });
+        const found = Search.locate(haystack, snippet, offset - from);
+        return found ? from + found.start : offset;
+    }
+
+    // Screen page holding the reading position. While its text hasn't been
+    // extracted, the last page, which shows the processing notice
+    function getPositionScreenPage() {
+        resolvePosition();
+        const page = positionOffset !== null ? findPageForOffset(positionOffset) : -1;
+        return page !== -1 ? page : Math.max(1, paginatedContent.length);
+    }
+
+    // ==========================================
+    // Range Decorations (search matches, etc.)
+    // ==========================================
+
+    // Replace the ranges of a decoration layer. Each range is
+    // { start, end, className, id? } in global text offsets (see paginateContent)
+    function setDecorations(layer, ranges) {
+        if (ranges && ranges.length > 0) {
+            decorations[layer] = ranges;
+        } else {
+            delete decorations[layer];
+        }
+    }
+
+    function clearDecorations(layer) {
+        delete decorations[layer];
+    }
+
+    // Wrap every decorated range that overlaps a rendered paragraph in a <mark>
+    function paintDecorations(root, layerNames = Object.keys(decorations)) {
+        const layers = layerNames.filter(layer => decorations[layer]);
+        if (layers.length === 0) return;
+
+        root.querySelectorAll('[data-offset]').forEach(el => {
+            const elStart = parseInt(el.dataset.offset);
+            const elEnd = elStart + el.textContent.length;
+
+            layers.forEach(layer => {
+                decorations[layer].forEach(range => {
+                    if (range.end <= elStart || range.start >= elEnd) return;
+                    wrapRange(
+                        el,
+                        Math.max(0, range.start - elStart),
+                        Math.min(elEnd, range.end) - elStart,
+                        layer,
+                        range.className,
+                        range.id
+                    );
+                });
+            });
+        });
+    }
+
+    // Paint one layer again without rendering the page, for layers that change
+    // often (the sentence being read aloud)
+    function repaintDecorations(layer, root) {
+        root.querySelectorAll(`mark[data-layer="${layer}"]`).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+        paintDecorations(root, [layer]);
+    }
+
+    // Wrap the characters [start, end) of an element's text in a <mark>,
+    // splitting text nodes as needed so existing marks are preserved
+    function wrapRange(el, start, end, layer, className, id) {
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        const targets = [];
+        let pos = 0;
+        let node;
+
+        while ((node = walker.nextNode()) && pos < end) {
+            const length = node.nodeValue.length;
+            const s = Math.max(start, pos);
+            const e = Math.min(end, pos + length);
+            if (s < e) targets.push({ node, s: s - pos, e: e - pos });
+            pos += length;
+        }
+
+        targets.forEach(({ node, s, e }) => {
+            let target = node;
+            if (s > 0) target = target.splitText(s);
+            if (e - s < target.nodeValue.length) target.splitText(e - s);
+
+            const mark = document.createElement('mark');
+            mark.className = className;
+            mark.dataset.layer = layer;
+            if (id) mark.dataset.id = id;
+            target.parentNode.insertBefore(mark, target);
+            mark.appendChild(target);
+        });
+    }
+
+    // Map the current text selection inside container to global offsets
+    function getSelectionOffsets(container) {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        if (!container.contains(range.commonAncestorContainer)) return null;
+
+        const start = pointToOffset(range.startContainer, range.startOffset);
+        const end = pointToOffset(range.endContainer, range.endOffset);
+        if (start === null || end === null || end <= start) return null;
+
+        const text = getFullText().substring(start, end);
+        if (!text.trim()) return null;
+
+        return { start, end, text, rect: range.getBoundingClientRect() };
+    }
+
+    // Convert a DOM point (node + offset) to a global text offset
+    function pointToOffset(node, offset) {
+        const base = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const el = base.closest('[data-offset]');
+
+        if (!el) {
+            // Point sits between paragraphs: snap to the nearest one
+            const after = node.childNodes[offset];
+            if (after?.dataset?.offset !== undefined) return parseInt(after.dataset.offset);
+            const before = node.childNodes[offset - 1];
+            if (before?.dataset?.offset !== undefined) {
+                return parseInt(before.dataset.offset) + before.textContent.length;
+            }
+            return null;
+        }
+
+        const range = document.createRange();
+        range.setStart(el, 0);
+        range.setEnd(node, offset);
+        return parseInt(el.dataset.offset) + range.toString().length;
     }
 
     // Set font size and re-paginate
@@ -358,43 +1592,106 @@ const PDFHandler = (() => {
         return fontFamily;
     }
 
+    // Apply typography settings (any of the DEFAULT_TYPOGRAPHY fields); the next
+    // render re-paginates from the reading position
+    function setTypography(settings) {
+        const clamp = (value, min, max, fallback) => (Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback);
+        if (settings.fontFamily) setFontFamily(settings.fontFamily);
+        if (settings.fontSize !== undefined) setFontSize(clamp(settings.fontSize, 12, 32, fontSize));
+        if (settings.lineHeight !== undefined) setLineHeight(clamp(settings.lineHeight, 1.2, 2.5, lineHeight));
+        if (settings.margin !== undefined) margin = clamp(settings.margin, 10, 120, margin);
+        if (settings.textAlign) textAlign = settings.textAlign === 'left' ? 'left' : 'justify';
+        if (settings.paragraphIndent !== undefined) paragraphIndent = clamp(settings.paragraphIndent, 0, 4, paragraphIndent);
+        if (settings.paragraphSpacing !== undefined) paragraphSpacing = clamp(settings.paragraphSpacing, 0, 2, paragraphSpacing);
+        return getTypography();
+    }
+
+    function getTypography() {
+        return { fontFamily, fontSize, lineHeight, margin, textAlign, paragraphIndent, paragraphSpacing };
+    }
+
     // Navigate to specific screen page
     async function goToPage(pageNum, container) {
+        if (readingMode === 'layout') {
+            pageNum = Math.max(1, Math.min(totalPages, pageNum));
+            if (!layoutState) await renderTextContent(container);
+            scrollToLayoutPage(pageNum);
+            setLayoutPosition(pageNum);
+            saveProgress();
+            return;
+        }
+
         if (pageNum < 1) pageNum = 1;
-        if (pageNum > totalScreenPages) pageNum = totalScreenPages;
+        if (pageNum > totalScreenPages && !isExtracting()) pageNum = totalScreenPages;
+
+        // Pages not laid out yet keep the current position until their text arrives
+        const pageObj = paginatedContent[pageNum - 1];
+        if (pageObj) positionOffset = pageObj.start;
 
         currentScreenPage = pageNum;
         await renderTextContent(container);
+        saveProgress();
+    }
+
+    // Save the reading position, along with its PDF page for the library's progress bar
+    function saveProgress() {
+        if (!currentBookId) return;
+        resolvePosition();
 
-        // Save progress (map screen page to PDF page approximately)
-        if (currentBookId && totalScreenPages > 0) {
-            const pdfPage = Math.ceil((currentScreenPage / totalScreenPages) * totalPages);
-            currentPage = pdfPage;
-            Storage.updateBookProgress(currentBookId, pdfPage).catch(() => { });
+        if (readingMode !== 'layout') {
+            if (positionOffset === null) return;
+            currentPage = getPdfPageForOffset(positionOffset);
+            positionPdfPage = currentPage;
         }
+        const anchor = positionOffset !== null && positionOffset < getFullText().length
+            ? { snippet: getAnchorSnippet(positionOffset), textVersion: getTextVersion() }
+            : {};
+        Storage.updateBookProgress(currentBookId, currentPage, positionOffset, anchor).catch(() => { });
     }
 
-    function nextPage(container) {
-        if (currentScreenPage < totalScreenPages) {
-            goToPage(currentScreenPage + 1, container);
+    // Debounced save for continuous scrolling
+    function scheduleProgressSave() {
+        clearTimeout(progressTimer);
+        progressTimer = setTimeout(saveProgress, 500);
+    }
+
+    async function nextPage(container) {
+        if (readingMode === 'layout') {
+            await goToPage(currentPage + 1, container);
+        } else if (readingMode === 'scroll' && scrollState) {
+            scrollByScreen(1);
+        } else if (currentScreenPage < totalScreenPages) {
+            await goToPage(currentScreenPage + 1, container);
         }
     }
 
     function prevPage(container) {
-        if (currentScreenPage > 1) {
+        if (readingMode === 'layout') {
+            const { page, fraction } = layoutState ? getLayoutPosition() : { page: currentPage, fraction: 0 };
+            goToPage(fraction > 0.05 ? page : page - 1, container);
+        } else if (readingMode === 'scroll' && scrollState) {
+            scrollByScreen(-1);
+        } else if (currentScreenPage > 1) {
             goToPage(currentScreenPage - 1, container);
         }
     }
 
-    // Set reading mode
+    // Scroll one viewport (minus a couple of lines of overlap) up or down
+    function scrollByScreen(direction) {
+        const scroller = scrollState.scroller;
+        const overlap = fontSize * lineHeight * 2;
+        scroller.scrollTop += direction * (scroller.clientHeight - overlap);
+        updateCurrentPageFromScroll();
+    }
+
+    // Set reading mode. Rendering starts from the reading position, so the
+    // current passage stays on screen
     async function setReadingMode(mode, container) {
         readingMode = mode;
-        paginatedContent = []; // Force re-pagination
-        currentScreenPage = 1;
         await renderTextContent(container);
     }
 
-    // Generate cover image from first page
+    // Cover thumbnail (JPEG Blob) from the first page
     async function generateCover(arrayBuffer) {
         const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
         const pdf = await loadingTask.promise;
@@ -407,17 +1704,69 @@ const PDFHandler = (() => {
         canvas.width = viewport.width;
 
         await page.render({ canvasContext: context, viewport }).promise;
-        return canvas.toDataURL('image/jpeg', 0.7);
+        pdf.destroy();
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+    }
+
+    // Full text in the global offset space used by paginated pages
+    function getFullText() {
+        if (fullText === null) fullText = extractedText.join('\n\n');
+        return fullText;
+    }
+
+    // Details the PDF declares about itself: { title, author, subject, language, publisher,
+    // creationDate ('YYYY-MM-DD') }, null where missing. XMP metadata comes first, as
+    // it's usually better kept than the Info dictionary
+    async function getDocumentMetadata() {
+        const details = { title: null, author: null, subject: null, language: null, publisher: null, creationDate: null };
+        if (!pdfDoc) return details;
+
+        try {
+            const { info = {}, metadata } = await pdfDoc.getMetadata();
+            const xmp = (name) => {
+                const value = metadata?.get(name);
+                return cleanMetadataText(Array.isArray(value) ? value.join(', ') : value);
+            };
+
+            details.title = cleanTitle(xmp('dc:title')) || cleanTitle(cleanMetadataText(info.Title));
+            details.author = xmp('dc:creator') || cleanMetadataText(info.Author);
+            details.subject = xmp('dc:description') || cleanMetadataText(info.Subject);
+            details.language = xmp('dc:language') || cleanMetadataText(info.Language);
+            details.publisher = xmp('dc:publisher') || cleanMetadataText(info.Custom?.Publisher);
+            details.creationDate = parseMetadataDate(xmp('xmp:createdate'), false) || parseMetadataDate(info.CreationDate, true);
+        } catch (error) {
+            console.warn('Could not read PDF metadata:', error);
+        }
+        return details;
+    }
+
+    function cleanMetadataText(value) {
+        if (typeof value !== 'string') return null;
+        return value.replace(/[\u0000-\u001f]/g, ' ').replace(/\s+/g, ' ').trim() || null;
+    }
+
+    // Titles left by the authoring tool say nothing about the book
+    function cleanTitle(title) {
+        if (!title) return null;
+        if (/^(untitled|sem t[ií]tulo|document\d*|documento\d*|microsoft (word|powerpoint)\b.*)$/i.test(title)) return null;
+        if (/\.(docx?|odt|rtf|pdf|indd|qxd|tex|txt)$/i.test(title)) return null;
+        return title;
     }
 
-    // Update current page based on scroll position (not used in paginated mode)
-    function updateCurrentPageFromScroll(container) {
-        // In paginated mode, we don't need scroll tracking
+    // XMP dates are ISO 8601, Info dates are 'D:YYYYMMDDHHmmSS+HH'mm''
+    function parseMetadataDate(value, isPdfDate) {
+        if (!value) return null;
+        const date = isPdfDate ? pdfjsLib.PDFDateString.toDateObject(value) : new Date(value);
+        if (!date || isNaN(date)) return null;
+        return date.toISOString().slice(0, 10);
     }
 
     // Getters
-    function getCurrentPage() { return currentScreenPage; }
-    function getTotalPages() { return totalScreenPages || totalPages; }
+    function getCurrentPage() { return readingMode === 'layout' ? currentPage : currentScreenPage; }
+    function getTotalPages() { return readingMode === 'layout' ? totalPages : (totalScreenPages || totalPages); }
+    function getZoomMode() { return zoomMode; }
+    function getToc() { return toc; }
+    function getTocSource() { return tocSource; }
     function getScale() { return scale; }
     function getFontSize() { return fontSize; }
     function getLineHeight() { return lineHeight; }
@@ -427,6 +1776,11 @@ const PDFHandler = (() => {
 
     // Get content snippet (Legacy backup)
     function getCurrentPageContentSnippet() {
+        if (readingMode === 'layout') {
+            const offset = getOffsetForPdfPage(currentPage);
+            return getFullText().substring(offset, offset + 150).replace(/\s+/g, ' ').trim();
+        }
+
         const pageObj = paginatedContent[currentScreenPage - 1];
         if (!pageObj || !pageObj.content) return '';
         const text = pageObj.content.join(' ').replace(/\s+/g, ' ').trim();
@@ -439,6 +1793,11 @@ const PDFHandler = (() => {
         const search = snippet.replace(/\s+/g, ' ').trim();
         if (search.length < 10) return -1;
 
+        if (readingMode === 'layout') {
+            const index = getFullText().replace(/\s/g, ' ').indexOf(search);
+            return index === -1 ? -1 : getPdfPageForOffset(index);
+        }
+
         for (let i = 0; i < paginatedContent.length; i++) {
             const pageObj = paginatedContent[i];
             const pageText = pageObj.content.join(' ').replace(/\s+/g, ' ');
@@ -449,15 +1808,149 @@ const PDFHandler = (() => {
         return -1;
     }
 
+    // ==========================================
+    // Table of Contents & Chapters
+    // ==========================================
+
+    // Build the TOC from the PDF outline, or from detected headings when the
+    // PDF has none. Entries: { title, pdfPage, offset, items: [] }
+    async function loadToc() {
+        if (!pdfDoc) return [];
+
+        let outline = null;
+        try {
+            outline = await pdfDoc.getOutline();
+        } catch (error) {
+            console.warn('Could not read PDF outline:', error);
+        }
+
+        toc = outline && outline.length > 0 ? await resolveOutline(outline) : headingsToc();
+
+        tocSource = outline && outline.length > 0 ? 'outline' : 'headings';
+        // Top-level entries are the chapters, unless the whole outline hangs off a single root
+        chapters = (toc.length >= 2 ? toc : flattenToc(toc))
+            .filter(entry => entry.offset !== null)
+            .sort((a, b) => a.offset - b.offset);
+        return toc;
+    }
+
+    async function resolveOutline(items) {
+        const entries = [];
+
+        for (const item of items) {
+            if (item.url) continue; // External links aren't chapters
+
+            const children = await resolveOutline(item.items || []);
+            const pdfPage = await resolveDestinationPage(item.dest);
+            const offset = pdfPage !== null
+                ? findTitleOffset(item.title, pdfPage)
+                : (children[0]?.offset ?? null);
+
+            entries.push({ title: item.title.trim(), pdfPage: pdfPage ?? children[0]?.pdfPage ?? null, offset, items: children });
+        }
+
+        return entries;
+    }
+
+    async function resolveDestinationPage(dest) {
+        if (!dest) return null;
+
+        try {
+            const explicit = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+            if (!Array.isArray(explicit) || explicit[0] === undefined || explicit[0] === null) return null;
+
+            const ref = explicit[0];
+            const pageIndex = typeof ref === 'number' ? ref : await pdfDoc.getPageIndex(ref);
+            return pageIndex + 1;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // TOC from the detected headings, nested by level
+    function headingsToc() {
+        const entries = [];
+        const open = []; // Innermost entry of each level so far
+
+        getParagraphs().filter(para => para.heading).forEach(para => {
+            const entry = { title: para.text, pdfPage: getPdfPageForOffset(para.start), offset: para.start, items: [] };
+            open.length = para.heading - 1;
+            const parent = open.slice().reverse().find(Boolean);
+            (parent ? parent.items : entries).push(entry);
+            open[para.heading - 1] = entry;
+        });
+
+        return entries;
+    }
+
+    // Offset of a chapter title on its PDF page (the page start if it isn't found)
+    function findTitleOffset(title, pdfPage) {
+        const pageStart = getOffsetForPdfPage(pdfPage);
+        const index = extractedPageNumbers.indexOf(pdfPage);
+        if (index === -1) return pageStart;
+
+        const needle = title.replace(/\s+/g, ' ').trim().toLowerCase();
+        const found = needle ? extractedText[index].toLowerCase().indexOf(needle) : -1;
+        return found === -1 ? pageStart : pageStart + found;
+    }
+
+    function flattenToc(entries) {
+        return entries.flatMap(entry => [entry, ...flattenToc(entry.items)]);
+    }
+
+    // Chapter entry containing a global offset
+    function getChapterEntryForOffset(offset) {
+        let current = null;
+        for (const chapter of chapters) {
+            if (chapter.offset > offset) break;
+            current = chapter;
+        }
+        return current;
+    }
+
+    // Title of the chapter containing a global offset
+    function getChapterForOffset(offset) {
+        return getChapterEntryForOffset(offset)?.title || null;
+    }
+
+    // Next (direction 1) or previous (-1) chapter from the current position
+    function getAdjacentChapter(direction) {
+        const offset = getCurrentPageOffset();
+
+        if (direction > 0) return chapters.find(chapter => chapter.offset > offset) || null;
+
+        // Going back from inside a chapter first returns to its start
+        const current = getChapterEntryForOffset(offset);
+        if (current && findPageForOffset(current.offset) < getCurrentPage()) return current;
+
+        const previous = chapters.filter(chapter => chapter.offset < (current ? current.offset : offset));
+        return previous[previous.length - 1] || null;
+    }
+
     // NEW: Offset-based robust deep linking
 
     function getCurrentPageOffset() {
+        if (readingMode === 'layout') return extractedText.length ? getOffsetForPdfPage(currentPage) : -1;
+        if (readingMode === 'scroll' && scrollState) return getScrollTopOffset();
         const pageObj = paginatedContent[currentScreenPage - 1];
         return pageObj ? pageObj.start : -1;
     }
 
+    // Global offsets [start, end) of the text on the current screen (or PDF) page
+    function getCurrentPageRange() {
+        if (readingMode === 'layout') {
+            if (!extractedText.length) return null;
+            const end = currentPage < totalPages ? getOffsetForPdfPage(currentPage + 1) : getFullText().length;
+            return { start: getOffsetForPdfPage(currentPage), end };
+        }
+
+        const pageObj = paginatedContent[currentScreenPage - 1];
+        return pageObj ? { start: pageObj.start, end: pageObj.end } : null;
+    }
+
     function findPageForOffset(offset) {
         if (offset === undefined || offset === null || offset < 0) return -1;
+        if (readingMode === 'layout') return getPdfPageForOffset(offset);
 
         for (let i = 0; i < paginatedContent.length; i++) {
             const page = paginatedContent[i];
@@ -482,26 +1975,61 @@ const PDFHandler = (() => {
     }
 
     return {
+        DEFAULT_TYPOGRAPHY,
         init,
         loadPDF,
         extractAllText,
+        whenTextReady,
+        isExtracting,
+        getExtractionProgress,
+        setExtractionListener,
         renderTextContent,
         setFontSize,
         setLineHeight,
         setFontFamily,
+        setTypography,
+        getTypography,
         goToPage,
+        restorePosition,
+        setOcrLanguage,
+        getOcrLanguage,
+        getTextVersion,
+        getAnchorSnippet,
+        renderFigure,
         nextPage,
         prevPage,
         setReadingMode,
+        setZoom,
+        zoomIn,
+        zoomOut,
+        getOffsetForPdfPage,
+        getPdfPageForOffset,
         generateCover,
+        getDocumentPages,
+        getDocumentText,
         updateCurrentPageFromScroll,
         getCurrentPage,
         getCurrentPageContentSnippet,
         findPageForContent,
         getCurrentPageOffset,
         findPageForOffset,
+        getChapterForOffset,
+        getChapterEntryForOffset,
+        getAdjacentChapter,
+        getCurrentPageRange,
+        loadToc,
+        getToc,
+        getTocSource,
+        getFullText,
+        getParagraphs,
+        getDocumentMetadata,
+        getSelectionOffsets,
+        setDecorations,
+        clearDecorations,
+        repaintDecorations,
         getTotalPages,
         getScale,
+        getZoomMode,
         getFontSize,
         getLineHeight,
         getFontFamily,
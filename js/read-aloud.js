@@ -0,0 +1,358 @@
+/**
+ * KindlePDF - Read Aloud Module
+ * Reads the open book out loud with the Web Speech API, one sentence at a time
+ *
+ * Reading starts at the top of the current page and goes on through the book's
+ * paragraphs by text offset. The sentence being spoken is highlighted as the
+ * 'speech' decoration layer, and the reader turns the page when the next sentence
+ * starts past the end of the one on screen.
+ */
+
+const ReadAloud = (() => {
+    const SETTINGS_KEY = 'readAloud';
+    const RATES = { min: 0.5, max: 2 };
+    const PITCHES = { min: 0.5, max: 2 };
+    const VOICES_TIMEOUT = 2000; // ms to wait for the browser's voice list
+    const SENTENCE_PATTERN = /[^.!?…]+(?:[.!?…]+["'»”’)\]]*|$)/g; // Without Intl.Segmenter
+
+    let settings = { rate: 1, pitch: 1, voices: {} }; // voices: voiceURI by language (primary subtag)
+    let language = document.documentElement.lang || 'pt-BR';
+    let state = 'stopped'; // 'stopped', 'playing' or 'paused'
+    let container = null;
+    let position = 0; // Offset where the next sentence starts
+    let sentence = null; // { start, end, text } being spoken
+    let utterance = null;
+    let sleepTimer = null;
+    let sleepAt = null; // Time the sleep timer ends reading
+    let listener = null;
+    let segmenter = null;
+
+    function isSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    async function init() {
+        try {
+            const saved = await Storage.getSetting(SETTINGS_KEY);
+            if (saved) settings = { ...settings, ...saved, voices: { ...saved.voices } };
+        } catch (e) { }
+    }
+
+    function saveSettings() {
+        Storage.setSetting(SETTINGS_KEY, settings).catch(() => { });
+    }
+
+    // ==========================================
+    // Voices
+    // ==========================================
+
+    // The voice list loads asynchronously in some browsers
+    function loadVoices() {
+        const voices = speechSynthesis.getVoices();
+        if (voices.length) return Promise.resolve(voices);
+
+        return new Promise(resolve => {
+            const done = () => {
+                speechSynthesis.removeEventListener('voiceschanged', done);
+                resolve(speechSynthesis.getVoices());
+            };
+            speechSynthesis.addEventListener('voiceschanged', done);
+            setTimeout(done, VOICES_TIMEOUT);
+        });
+    }
+
+    function primaryLanguage(tag) {
+        return (tag || '').toLowerCase().split(/[-_]/)[0];
+    }
+
+    // Voices for the book's language first, the closest regional variant on top
+    async function getVoices() {
+        const voices = await loadVoices();
+        const exact = language.toLowerCase().replace('_', '-');
+        const rank = (voice) => {
+            const tag = voice.lang.toLowerCase().replace('_', '-');
+            if (tag === exact) return 0;
+            return primaryLanguage(tag) === primaryLanguage(exact) ? 1 : 2;
+        };
+        return voices
+            .map((voice, index) => ({ voice, index }))
+            .sort((a, b) => rank(a.voice) - rank(b.voice) || a.index - b.index)
+            .map(({ voice }) => voice);
+    }
+
+    // The voice picked for this language before, otherwise the best match for it
+    async function getVoice() {
+        const voices = await getVoices();
+        const saved = settings.voices[primaryLanguage(language)];
+        return voices.find(voice => voice.voiceURI === saved)
+            || voices.find(voice => primaryLanguage(voice.lang) === primaryLanguage(language) && voice.localService)
+            || voices[0]
+            || null;
+    }
+
+    function setVoice(voiceURI) {
+        settings.voices[primaryLanguage(language)] = voiceURI;
+        saveSettings();
+        restartSentence();
+    }
+
+    // Language of the book's text, e.g. 'pt-BR'
+    function setLanguage(tag) {
+        language = tag || document.documentElement.lang || 'pt-BR';
+        segmenter = null;
+    }
+
+    function setRate(rate) {
+        settings.rate = Math.max(RATES.min, Math.min(RATES.max, rate));
+        saveSettings();
+        restartSentence();
+    }
+
+    function setPitch(pitch) {
+        settings.pitch = Math.max(PITCHES.min, Math.min(PITCHES.max, pitch));
+        saveSettings();
+        restartSentence();
+    }
+
+    function getRate() { return settings.rate; }
+    function getPitch() { return settings.pitch; }
+
+    // ==========================================
+    // Sentences
+    // ==========================================
+
+    // Sentences of a paragraph as [start, end) within its text, trailing spaces left out
+    function splitSentences(text) {
+        if (!segmenter && typeof Intl !== 'undefined' && Intl.Segmenter) {
+            segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+        }
+
+        const spans = segmenter
+            ? [...segmenter.segment(text)].map(s => [s.index, s.index + s.segment.length])
+            : [...text.matchAll(SENTENCE_PATTERN)].map(m => [m.index, m.index + m[0].length]);
+
+        return spans
+            .map(([start, end]) => [start, start + text.slice(start, end).trimEnd().length])
+            .filter(([start, end]) => text.slice(start, end).trim());
+    }
+
+    // First sentence ending after `offset`, starting no earlier than it
+    function findSentence(offset) {
+        for (const para of PDFHandler.getParagraphs()) {
+            if (para.figure || para.start + para.length <= offset) continue;
+
+            for (const [start, end] of splitSentences(para.text)) {
+                if (para.start + end <= offset) continue;
+                const from = Math.max(para.start + start, offset);
+                const text = PDFHandler.getFullText().slice(from, para.start + end).trim();
+                if (text) return { start: from, end: para.start + end, text };
+            }
+        }
+        return null;
+    }
+
+    // ==========================================
+    // Playback
+    // ==========================================
+
+    // Start reading from the top of the current page (or where a pause left off)
+    async function start(readerContainer) {
+        if (!isSupported()) return;
+        if (state === 'paused') {
+            resume();
+            return;
+        }
+
+        container = readerContainer;
+        const offset = PDFHandler.getCurrentPageOffset();
+        position = offset >= 0 ? offset : 0;
+        setState('playing');
+        await speakNext();
+    }
+
+    async function speakNext() {
+        if (state !== 'playing') return;
+
+        sentence = findSentence(position);
+        if (!sentence && PDFHandler.isExtracting()) {
+            // Caught up with the text still being extracted
+            await PDFHandler.whenTextReady();
+            if (state !== 'playing') return;
+            sentence = findSentence(position);
+        }
+        if (!sentence) {
+            stop();
+            return;
+        }
+
+        await followSentence(sentence);
+        await speak(sentence);
+    }
+
+    async function speak(current) {
+        const voice = await getVoice();
+        if (state !== 'playing' || sentence !== current) return;
+
+        utterance = new SpeechSynthesisUtterance(current.text);
+        utterance.lang = voice ? voice.lang : language;
+        if (voice) utterance.voice = voice;
+        utterance.rate = settings.rate;
+        utterance.pitch = settings.pitch;
+
+        const spoken = utterance;
+        spoken.onend = () => {
+            if (utterance !== spoken || state !== 'playing') return;
+            position = current.end;
+            speakNext();
+        };
+        spoken.onerror = (event) => {
+            if (utterance !== spoken || event.error === 'interrupted' || event.error === 'canceled') return;
+            console.warn('Speech synthesis error:', event.error);
+            stop();
+        };
+
+        speechSynthesis.cancel();
+        speechSynthesis.speak(spoken);
+    }
+
+    // Highlight the sentence and keep it on screen, turning the page when it starts past its end
+    async function followSentence(current) {
+        const mode = PDFHandler.getReadingMode();
+        const onPage = (range) => range && current.start >= range.start && current.start < range.end;
+        const pageOf = () => (mode === 'layout'
+            ? PDFHandler.getPdfPageForOffset(current.start)
+            : PDFHandler.findPageForOffset(current.start));
+
+        PDFHandler.setDecorations('speech', [{ start: current.start, end: current.end, className: 'speech-sentence' }]);
+        const range = PDFHandler.getCurrentPageRange();
+
+        if (mode !== 'scroll' && !onPage(range)) {
+            if (range && current.start >= range.end) await PDFHandler.nextPage(container);
+            // Further away than the next page (e.g. after the reader moved around)
+            if (!onPage(PDFHandler.getCurrentPageRange())) await PDFHandler.goToPage(pageOf(), container);
+        } else if (container) {
+            PDFHandler.repaintDecorations('speech', container);
+        }
+
+        if (mode === 'scroll' && container) {
+            let mark = container.querySelector('mark.speech-sentence');
+            if (!mark) {
+                await PDFHandler.goToPage(pageOf(), container);
+                mark = container.querySelector('mark.speech-sentence');
+            }
+            const rect = mark?.getBoundingClientRect();
+            if (rect && (rect.top < 0 || rect.bottom > window.innerHeight)) mark.scrollIntoView({ block: 'center' });
+        }
+
+        notify();
+    }
+
+    // Speak the current sentence again, e.g. with a new voice or rate
+    function restartSentence() {
+        if (state === 'playing' && sentence) speak(sentence);
+    }
+
+    // Speech is cancelled rather than paused: pausing is unreliable across browsers
+    function pause() {
+        if (state !== 'playing') return;
+        setState('paused');
+        utterance = null;
+        speechSynthesis.cancel();
+    }
+
+    function resume() {
+        if (state !== 'paused') return;
+        setState('playing');
+        if (sentence) {
+            followSentence(sentence).then(() => speak(sentence));
+        } else {
+            speakNext();
+        }
+    }
+
+    function toggle(readerContainer) {
+        if (state === 'playing') pause();
+        else start(readerContainer);
+    }
+
+    function stop() {
+        if (state === 'stopped') return;
+        utterance = null;
+        sentence = null;
+        speechSynthesis.cancel();
+        setSleepTimer(0);
+        PDFHandler.clearDecorations('speech');
+        if (container) PDFHandler.repaintDecorations('speech', container);
+        setState('stopped');
+    }
+
+    function getState() { return state; }
+
+    // ==========================================
+    // Sleep Timer
+    // ==========================================
+
+    // Pause reading after `minutes` (0 turns the timer off)
+    function setSleepTimer(minutes) {
+        clearTimeout(sleepTimer);
+        sleepTimer = null;
+        sleepAt = null;
+
+        if (minutes > 0) {
+            sleepAt = Date.now() + minutes * 60000;
+            sleepTimer = setTimeout(() => {
+                sleepTimer = null;
+                sleepAt = null;
+                pause();
+            }, minutes * 60000);
+        }
+        notify();
+    }
+
+    // Minutes left before the sleep timer pauses reading, or null
+    function getSleepMinutesLeft() {
+        return sleepAt ? Math.max(0, Math.ceil((sleepAt - Date.now()) / 60000)) : null;
+    }
+
+    // ==========================================
+    // Listener
+    // ==========================================
+
+    function setState(newState) {
+        state = newState;
+        notify();
+    }
+
+    // listener({ state, sentence }) runs on every change of state and sentence
+    function setListener(fn) {
+        listener = fn;
+    }
+
+    function notify() {
+        listener?.({ state, sentence });
+    }
+
+    return {
+        RATES,
+        PITCHES,
+        isSupported,
+        init,
+        getVoices,
+        getVoice,
+        setVoice,
+        setLanguage,
+        setRate,
+        setPitch,
+        getRate,
+        getPitch,
+        start,
+        pause,
+        resume,
+        toggle,
+        stop,
+        getState,
+        setSleepTimer,
+        getSleepMinutesLeft,
+        setListener
+    };
+})();
@@ -0,0 +1,158 @@
+/**
+ * KindlePDF - Search Module
+ * Full-text search over the open book with case and accent-insensitive matching
+ */
+
+const Search = (() => {
+    const MAX_RESULTS = 1000;
+    const CONTEXT_CHARS = 40;
+    const ANCHOR_PREFIX_LENGTH = 60;
+
+    let results = [];
+    let currentIndex = -1;
+    let lastQuery = '';
+
+    // Fold a string for comparison, keeping a map from each folded
+    // character back to its index in the original string.
+    // collapseWhitespace turns every run of whitespace into a single space
+    function normalize(text, { ignoreCase = true, ignoreAccents = true, collapseWhitespace = false } = {}) {
+        let folded = '';
+        const map = [];
+
+        for (let i = 0; i < text.length; i++) {
+            let ch = text[i];
+            if (collapseWhitespace && /\s/.test(ch)) {
+                if (folded[folded.length - 1] !== ' ') {
+                    folded += ' ';
+                    map.push(i);
+                }
+                continue;
+            }
+            if (ignoreAccents) ch = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            if (ignoreCase) ch = ch.toLowerCase();
+
+            for (let j = 0; j < ch.length; j++) {
+                folded += ch[j];
+                map.push(i);
+            }
+        }
+
+        return { text: folded, map };
+    }
+
+    // Find every match of query in the book text
+    function find(query, options = {}) {
+        lastQuery = query;
+        results = [];
+        currentIndex = -1;
+
+        // Both sides collapse whitespace so a phrase matches across line breaks
+        const folding = { ...options, collapseWhitespace: true };
+        const needle = normalize(query.trim(), folding).text;
+        if (needle.length < 2) return results;
+
+        const fullText = PDFHandler.getFullText();
+        const haystack = normalize(fullText, folding);
+
+        let index = haystack.text.indexOf(needle);
+        while (index !== -1 && results.length < MAX_RESULTS) {
+            const start = haystack.map[index];
+            const end = haystack.map[index + needle.length - 1] + 1;
+
+            results.push({
+                start,
+                end,
+                before: fullText.substring(Math.max(0, start - CONTEXT_CHARS), start).replace(/\s+/g, ' '),
+                match: fullText.substring(start, end).replace(/\s+/g, ' '),
+                after: fullText.substring(end, end + CONTEXT_CHARS).replace(/\s+/g, ' ')
+            });
+
+            index = haystack.text.indexOf(needle, index + needle.length);
+        }
+
+        if (results.length > 0) currentIndex = 0;
+        return results;
+    }
+
+    // Where a passage saved earlier (a highlight, a note's snippet, a Kindle clipping)
+    // sits in a text, as { start, end } in the original text, or null.
+    // haystack is normalize(text, { collapseWhitespace: true }). The occurrence
+    // nearest `near` wins; long passages whose end no longer matches (line breaks,
+    // hyphenation) are found by their beginning
+    function locate(haystack, passage, near = 0) {
+        const needle = normalize(passage.trim(), { collapseWhitespace: true }).text;
+        if (!needle) return null;
+
+        let index = nearestIndex(haystack.text, needle, haystack.map, near);
+        if (index !== -1) {
+            return { start: haystack.map[index], end: haystack.map[index + needle.length - 1] + 1 };
+        }
+
+        if (needle.length <= ANCHOR_PREFIX_LENGTH) return null;
+        index = nearestIndex(haystack.text, needle.substring(0, ANCHOR_PREFIX_LENGTH), haystack.map, near);
+        if (index === -1) return null;
+
+        const start = haystack.map[index];
+        const textEnd = haystack.map[haystack.map.length - 1] + 1;
+        return { start, end: Math.min(textEnd, start + passage.trim().length) };
+    }
+
+    // Index in text of the occurrence of needle whose original offset is closest to near
+    function nearestIndex(text, needle, map, near) {
+        let best = -1;
+        let index = text.indexOf(needle);
+
+        while (index !== -1) {
+            if (best === -1 || Math.abs(map[index] - near) < Math.abs(map[best] - near)) best = index;
+            if (map[index] >= near) break; // Later ones are only further away
+            index = text.indexOf(needle, index + 1);
+        }
+        return best;
+    }
+
+    function next() {
+        if (results.length === 0) return null;
+        currentIndex = (currentIndex + 1) % results.length;
+        return results[currentIndex];
+    }
+
+    function prev() {
+        if (results.length === 0) return null;
+        currentIndex = (currentIndex - 1 + results.length) % results.length;
+        return results[currentIndex];
+    }
+
+    function select(index) {
+        if (index < 0 || index >= results.length) return null;
+        currentIndex = index;
+        return results[currentIndex];
+    }
+
+    function clear() {
+        results = [];
+        currentIndex = -1;
+        lastQuery = '';
+    }
+
+    // Getters
+    function getResults() { return results; }
+    function getCurrent() { return results[currentIndex] || null; }
+    function getCurrentIndex() { return currentIndex; }
+    function getLastQuery() { return lastQuery; }
+    function isTruncated() { return results.length >= MAX_RESULTS; }
+
+    return {
+        normalize,
+        find,
+        locate,
+        next,
+        prev,
+        select,
+        clear,
+        getResults,
+        getCurrent,
+        getCurrentIndex,
+        getLastQuery,
+        isTruncated
+    };
+})();
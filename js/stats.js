@@ -0,0 +1,293 @@
+/**
+ * KindlePDF - Stats Module
+ * Tracks reading sessions and derives reading speed, time-left estimates and statistics
+ *
+ * A session runs from opening a book until returning to the library. It records,
+ * for each screen page shown, the text range, its word count and how long it stayed on screen.
+ */
+
+const Stats = (() => {
+    const DEFAULT_WPM = 250;
+    const MIN_PAGE_MS = 2000; // Faster than this is flipping through, not reading
+    const MAX_PAGE_MS = 10 * 60 * 1000; // Longer than this the reader has stepped away
+    const MIN_SESSION_MS = 30 * 1000;
+    const MIN_SPEED_SAMPLE_MS = 5 * 60 * 1000;
+    const HISTORY_DAYS = 14;
+
+    let session = null;
+    let currentPage = null; // { start, end, elapsed, since } — since is null while paused
+    let persisted = false;
+    let wordStarts = []; // Offset of every word of the open book, in text order
+    let bookSample = { words: 0, ms: 0 };
+    let librarySample = { words: 0, ms: 0 };
+
+    // ==========================================
+    // Word Counting
+    // ==========================================
+
+    function indexWords(text) {
+        wordStarts = [];
+        const regex = /\S+/g;
+        let match;
+        while ((match = regex.exec(text)) !== null) wordStarts.push(match.index);
+    }
+
+    // Number of words starting before a global offset
+    function wordsBefore(offset) {
+        let low = 0;
+        let high = wordStarts.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (wordStarts[mid] < offset) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    function wordsBetween(start, end) {
+        return Math.max(0, wordsBefore(end) - wordsBefore(start));
+    }
+
+    // ==========================================
+    // Session Tracking
+    // ==========================================
+
+    async function startSession(bookId, fullText) {
+        await endSession();
+        indexWords(fullText);
+
+        const [bookSessions, allSessions] = await Promise.all([
+            Storage.getSessions(bookId),
+            Storage.getAllSessions()
+        ]);
+        bookSample = speedSample(bookSessions);
+        librarySample = speedSample(allSessions);
+
+        const now = new Date().toISOString();
+        session = {
+            id: Storage.generateId(),
+            bookId,
+            startedAt: now,
+            endedAt: now,
+            duration: 0,
+            pages: [],
+            totalWords: wordStarts.length,
+            wordsLeft: wordStarts.length
+        };
+        currentPage = null;
+        persisted = false;
+    }
+
+    // Called whenever the visible page may have changed; range is { start, end }
+    function recordPage(range) {
+        if (!session || !range) return;
+        if (currentPage && currentPage.start === range.start && currentPage.end === range.end) return;
+
+        closePage();
+        currentPage = { start: range.start, end: range.end, elapsed: 0, since: Date.now() };
+        session.wordsLeft = wordStarts.length - wordsBefore(range.start);
+        saveSession();
+    }
+
+    // Move the time spent on the current page into the session
+    function closePage() {
+        if (!currentPage) return;
+        const entry = pageEntry(currentPage);
+        session.pages.push(entry);
+        session.duration += entry.duration;
+        session.endedAt = new Date().toISOString();
+        currentPage = null;
+    }
+
+    function pageEntry(page) {
+        const running = page.since !== null ? Date.now() - page.since : 0;
+        return {
+            start: page.start,
+            end: page.end,
+            words: wordsBetween(page.start, page.end),
+            duration: Math.min(page.elapsed + running, MAX_PAGE_MS)
+        };
+    }
+
+    // Stop the clock while the reader is away (tab hidden, app in background)
+    function pause() {
+        if (!currentPage || currentPage.since === null) return;
+        currentPage.elapsed += Date.now() - currentPage.since;
+        currentPage.since = null;
+        saveSession();
+    }
+
+    function resume() {
+        if (!currentPage || currentPage.since !== null) return;
+        currentPage.since = Date.now();
+    }
+
+    async function endSession() {
+        if (!session) return;
+
+        closePage();
+        const record = session;
+        session = null;
+
+        if (record.duration >= MIN_SESSION_MS) {
+            await Storage.saveSession(record);
+        } else if (persisted) {
+            await Storage.deleteSession(record.id);
+        }
+        persisted = false;
+    }
+
+    // Snapshot of the session including the page still on screen
+    function snapshot() {
+        if (!currentPage) return { ...session };
+        const entry = pageEntry(currentPage);
+        return {
+            ...session,
+            endedAt: new Date().toISOString(),
+            duration: session.duration + entry.duration,
+            pages: [...session.pages, entry]
+        };
+    }
+
+    // Very short visits aren't worth keeping
+    function saveSession() {
+        const record = snapshot();
+        if (record.duration < MIN_SESSION_MS) return;
+        persisted = true;
+        Storage.saveSession(record).catch(error => console.warn('Could not save reading session:', error));
+    }
+
+    // ==========================================
+    // Reading Speed & Time Left
+    // ==========================================
+
+    // Words and time of the pages that look like actual reading
+    function speedSample(sessions) {
+        const sample = { words: 0, ms: 0 };
+        sessions.forEach(s => s.pages.forEach(page => {
+            if (page.duration < MIN_PAGE_MS || page.duration >= MAX_PAGE_MS) return;
+            sample.words += page.words;
+            sample.ms += page.duration;
+        }));
+        return sample;
+    }
+
+    function sampleWpm(sample) {
+        return sample.ms >= MIN_SPEED_SAMPLE_MS ? Math.round(sample.words / (sample.ms / 60000)) : null;
+    }
+
+    // Reader's words per minute: this book first, then the whole library, then a default
+    function getWpm() {
+        const current = session ? speedSample([snapshot()]) : { words: 0, ms: 0 };
+        const combine = (sample) => ({ words: sample.words + current.words, ms: sample.ms + current.ms });
+        return sampleWpm(combine(bookSample)) || sampleWpm(combine(librarySample)) || DEFAULT_WPM;
+    }
+
+    // Minutes left from offset to chapterEnd (null without chapters) and to the end of the book
+    function getTimeLeft(offset, chapterEnd = null) {
+        const wpm = getWpm();
+        return {
+            chapter: chapterEnd !== null ? wordsBetween(offset, chapterEnd) / wpm : null,
+            book: (wordStarts.length - wordsBefore(offset)) / wpm
+        };
+    }
+
+    // ==========================================
+    // Statistics
+    // ==========================================
+
+    function dayKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    // Reading time per day over the last HISTORY_DAYS days, oldest first
+    function timePerDay(sessions) {
+        const days = [];
+        const today = new Date();
+        for (let i = HISTORY_DAYS - 1; i >= 0; i--) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            days.push({ date, key: dayKey(date), ms: 0 });
+        }
+
+        const byKey = new Map(days.map(day => [day.key, day]));
+        sessions.forEach(s => {
+            const day = byKey.get(dayKey(s.startedAt));
+            if (day) day.ms += s.duration;
+        });
+        return days;
+    }
+
+    // Pages that were actually read, not just flipped past
+    function pagesRead(s) {
+        return s.pages.filter(page => page.duration >= MIN_PAGE_MS).length;
+    }
+
+    // Completion date at the recent daily pace, from the latest session of a book
+    function forecast(sessions, wpm) {
+        const latest = sessions[sessions.length - 1];
+        if (!latest) return null;
+
+        const minutesLeft = latest.wordsLeft / wpm;
+        if (latest.wordsLeft === 0) return { minutesLeft: 0, date: new Date(latest.endedAt) };
+
+        const recentMs = timePerDay(sessions).reduce((sum, day) => sum + day.ms, 0);
+        if (recentMs === 0) return { minutesLeft, date: null };
+
+        const minutesPerDay = recentMs / 60000 / HISTORY_DAYS;
+        const date = new Date();
+        date.setDate(date.getDate() + Math.ceil(minutesLeft / minutesPerDay));
+        return { minutesLeft, date };
+    }
+
+    // Summary of a set of sessions (one book or the whole library)
+    function summarize(sessions) {
+        const wpm = sampleWpm(speedSample(sessions));
+        const totalMs = sessions.reduce((sum, s) => sum + s.duration, 0);
+        const totalPages = sessions.reduce((sum, s) => sum + pagesRead(s), 0);
+
+        return {
+            totalMs,
+            sessionCount: sessions.length,
+            wpm,
+            pagesPerSession: sessions.length ? totalPages / sessions.length : 0,
+            days: timePerDay(sessions),
+            recent: sessions.slice(-10).reverse().map(s => ({
+                startedAt: s.startedAt,
+                duration: s.duration,
+                pages: pagesRead(s)
+            })),
+            forecast: forecast(sessions, wpm || DEFAULT_WPM)
+        };
+    }
+
+    // Statistics for one book, or for the library (bookId null) with a summary per book
+    async function getStats(bookId = null) {
+        if (bookId) return summarize(await Storage.getSessions(bookId));
+
+        const sessions = await Storage.getAllSessions();
+        const byBook = new Map();
+        sessions.forEach(s => {
+            if (!byBook.has(s.bookId)) byBook.set(s.bookId, []);
+            byBook.get(s.bookId).push(s);
+        });
+
+        const stats = summarize(sessions);
+        // A library-wide forecast has no meaning; each book gets its own
+        stats.forecast = null;
+        stats.books = [...byBook.entries()].map(([id, bookSessions]) => ({ bookId: id, ...summarize(bookSessions) }));
+        return stats;
+    }
+
+    return {
+        DEFAULT_WPM,
+        startSession,
+        recordPage,
+        pause,
+        resume,
+        endSession,
+        getWpm,
+        getTimeLeft,
+        getStats
+    };
+})();
@@ -1,54 +1,223 @@
 /**
  * KindlePDF - Storage Module
- * Handles IndexedDB operations for library, bookmarks, and notes
+ * Handles IndexedDB operations for library, collections, bookmarks, notes, highlights, and reading sessions
  */
 
 const Storage = (() => {
     const DB_NAME = 'KindlePDF';
-    const DB_VERSION = 1;
+    const STORES = ['books', 'collections', 'bookmarks', 'notes', 'highlights', 'sessions', 'settings'];
+    const FILE_STORES = ['bookFiles', 'covers']; // PDF binaries and cover thumbnails, kept out of the book records (see splitBook)
+    const CACHE_STORES = ['textCache', 'ocrCache']; // Derived data, rebuilt on demand and left out of backups
+    const DICTIONARY_STORES = ['dictionaries', 'dictionaryEntries']; // Imported by the reader, kept out of backups for their size
+
+    // Schema history, oldest first. Opening an older database runs each newer migration
+    // once, in order, inside the upgrade transaction: up(database, transaction, eachRecord)
+    // may create stores and indexes and rewrite the records already stored.
+    // Databases from before this list created whatever was missing, so stores are made
+    // with ensureStore. Change the schema by adding a migration; never edit a shipped one
+    const MIGRATIONS = [
+        {
+            version: 1,
+            name: 'books, bookmarks, notes and settings',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'books', { keyPath: 'id' }, { title: 'title', addedAt: 'addedAt' });
+                ensureStore(database, transaction, 'bookmarks', { keyPath: 'id' }, { bookId: 'bookId', page: 'page' });
+                ensureStore(database, transaction, 'notes', { keyPath: 'id' }, { bookId: 'bookId', page: 'page' });
+                ensureStore(database, transaction, 'settings', { keyPath: 'key' });
+            }
+        },
+        {
+            version: 2,
+            name: 'highlights',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'highlights', { keyPath: 'id' }, { bookId: 'bookId' });
+            }
+        },
+        {
+            version: 3,
+            name: 'reading sessions',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'sessions', { keyPath: 'id' }, { bookId: 'bookId', startedAt: 'startedAt' });
+            }
+        },
+        {
+            version: 4,
+            name: 'extracted text cache',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'textCache', { keyPath: 'bookId' });
+            }
+        },
+        {
+            version: 5,
+            name: 'recognized text of scanned pages',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'ocrCache', { keyPath: 'id' }, { bookId: 'bookId' });
+            }
+        },
+        {
+            version: 6,
+            name: 'dictionaries',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'dictionaries', { keyPath: 'id' });
+                ensureStore(database, transaction, 'dictionaryEntries', { keyPath: ['dictionaryId', 'key'] }, { key: 'key' });
+            }
+        },
+        {
+            version: 7,
+            name: 'collections',
+            up(database, transaction) {
+                ensureStore(database, transaction, 'collections', { keyPath: 'id' });
+            }
+        },
+        {
+            version: 8,
+            name: 'PDFs and covers out of the book records',
+            up(database, transaction, eachRecord) {
+                const files = ensureStore(database, transaction, 'bookFiles', { keyPath: 'bookId' });
+                const covers = ensureStore(database, transaction, 'covers', { keyPath: 'bookId' });
+
+                // One record at a time, so a large library never sits in memory at once
+                eachRecord('books', (record) => {
+                    const { book, file, cover } = splitBook(record);
+                    if (file) files.put(file);
+                    if (cover) covers.put(cover);
+                    return book;
+                });
+            }
+        }
+    ];
+    const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
     let db = null;
+    let replaced = false; // Another tab upgraded the database and this tab let go of it (see init)
+
+    // Open the app's database (see open). options: onBlocked() runs while another tab
+    // keeps an older version open, and onVersionChange() once another tab upgrades it.
+    // From then on this tab can't use it: every operation fails until the page is reloaded.
+    // name replaces the library with another database (the backup tests use their own)
+    async function init({ name = DB_NAME, onBlocked = null, onVersionChange = null } = {}) {
+        db = await open(name, MIGRATIONS, {
+            onBlocked,
+            onVersionChange: () => {
+                db = null;
+                replaced = true;
+                onVersionChange?.();
+            }
+        });
+        replaced = false;
+        return db;
+    }
+
+    // Open a database, upgrading it through `migrations` when it's older, and return
+    // the connection. The connection closes itself, then calls onVersionChange(), when
+    // another tab upgrades the database: this tab's code doesn't know the new schema.
+    // The upgrade tests (test-migrations.html) open their own database with it
+    function open(name, migrations = MIGRATIONS, { onBlocked = null, onVersionChange = null } = {}) {
+        const version = migrations[migrations.length - 1].version;
+        const failure = {}; // { migration, error } of a failed upgrade
 
-    // Initialize IndexedDB
-    async function init() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(name, version);
+
+            request.onupgradeneeded = (event) => runMigrations(event, migrations, failure);
+            request.onblocked = () => onBlocked?.();
 
-            request.onerror = () => reject(request.error);
             request.onsuccess = () => {
-                db = request.result;
-                resolve(db);
+                const database = request.result;
+                database.onversionchange = () => {
+                    database.close();
+                    onVersionChange?.();
+                };
+                resolve(database);
             };
 
-            request.onupgradeneeded = (event) => {
-                const database = event.target.result;
-
-                // Books store
-                if (!database.objectStoreNames.contains('books')) {
-                    const booksStore = database.createObjectStore('books', { keyPath: 'id' });
-                    booksStore.createIndex('title', 'title', { unique: false });
-                    booksStore.createIndex('addedAt', 'addedAt', { unique: false });
+            request.onerror = () => {
+                if (failure.migration) {
+                    const { migration, error } = failure;
+                    console.error(`Migration to version ${migration.version} (${migration.name}) failed:`, error);
+                    reject(new Error(`Falha ao atualizar o banco de dados para a versão ${migration.version}: ${error?.message || error}`, { cause: error }));
+                } else if (request.error?.name === 'VersionError') {
+                    reject(new Error('O banco de dados foi criado por uma versão mais recente do KindlePDF.', { cause: request.error }));
+                } else {
+                    reject(request.error);
                 }
+            };
+        });
+    }
 
-                // Bookmarks store
-                if (!database.objectStoreNames.contains('bookmarks')) {
-                    const bookmarksStore = database.createObjectStore('bookmarks', { keyPath: 'id' });
-                    bookmarksStore.createIndex('bookId', 'bookId', { unique: false });
-                    bookmarksStore.createIndex('page', 'page', { unique: false });
-                }
+    function close() {
+        if (db) db.close();
+        db = null;
+    }
 
-                // Notes store
-                if (!database.objectStoreNames.contains('notes')) {
-                    const notesStore = database.createObjectStore('notes', { keyPath: 'id' });
-                    notesStore.createIndex('bookId', 'bookId', { unique: false });
-                    notesStore.createIndex('page', 'page', { unique: false });
-                }
+    // A transaction on the app's database, or a clear error when it isn't open
+    function startTransaction(storeNames, mode = 'readonly') {
+        if (!db) {
+            throw new Error(replaced
+                ? 'A biblioteca foi atualizada em outra aba. Recarregue a página.'
+                : 'A biblioteca não está aberta.');
+        }
+        return db.transaction(storeNames, mode);
+    }
 
-                // Settings store
-                if (!database.objectStoreNames.contains('settings')) {
-                    database.createObjectStore('settings', { keyPath: 'key' });
-                }
+    // ==========================================
+    // Migrations
+    // ==========================================
+
+    // Run the migrations newer than the database. A migration that throws, now or while
+    // rewriting records, aborts the whole upgrade: the database stays as it was
+    function runMigrations(event, migrations, failure) {
+        const database = event.target.result;
+        const transaction = event.target.transaction;
+
+        for (const migration of migrations) {
+            if (migration.version <= event.oldVersion) continue;
+
+            const fail = (error) => {
+                if (failure.migration) return;
+                failure.migration = migration;
+                failure.error = error;
+                transaction.abort();
             };
+            const eachRecord = (storeName, fn) => rewriteRecords(transaction.objectStore(storeName), fn, fail);
+
+            try {
+                migration.up(database, transaction, eachRecord);
+            } catch (error) {
+                fail(error);
+                return;
+            }
+        }
+    }
+
+    // Create a store unless it exists, then whichever of its indexes ({ name: keyPath }) are missing
+    function ensureStore(database, transaction, name, options, indexes = {}) {
+        const store = database.objectStoreNames.contains(name)
+            ? transaction.objectStore(name)
+            : database.createObjectStore(name, options);
+
+        Object.entries(indexes).forEach(([indexName, keyPath]) => {
+            if (!store.indexNames.contains(indexName)) store.createIndex(indexName, keyPath, { unique: false });
         });
+        return store;
+    }
+
+    // Pass each record of a store through fn, writing back what it returns
+    // (undefined leaves the record as it is)
+    function rewriteRecords(store, fn, fail) {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            try {
+                const record = fn(cursor.value);
+                if (record !== undefined) cursor.update(record);
+                cursor.continue();
+            } catch (error) {
+                fail(error);
+            }
+        };
     }
 
     // Generate unique ID
@@ -60,31 +229,96 @@ const Storage = (() => {
     // Books Operations
     // ==========================================
 
+    // Split a book into its record and its binaries, so listing the library never loads
+    // a PDF. Takes data (ArrayBuffer), cover (Blob) or, from older records and
+    // backups, coverImage (a data URL)
+    function splitBook({ data, cover, coverImage, ...book }) {
+        if (data && book.fileSize == null) book.fileSize = data.byteLength;
+        const coverBlob = cover || (coverImage ? dataUrlToBlob(coverImage) : null);
+
+        return {
+            book,
+            file: data ? { bookId: book.id, data } : null,
+            cover: coverBlob ? { bookId: book.id, blob: coverBlob } : null
+        };
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: header.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg' });
+    }
+
+    // bookData.data is the PDF (ArrayBuffer), bookData.cover its thumbnail (Blob).
+    // Returns the book record, without either
     async function saveBook(bookData) {
         const book = {
             id: generateId(),
             title: bookData.title,
-            data: bookData.data, // ArrayBuffer of PDF
+            author: bookData.author || '',
+            subject: bookData.subject || '',
+            language: bookData.language || '', // e.g. 'pt-BR'
+            publisher: bookData.publisher || '',
+            creationDate: bookData.creationDate || null, // 'YYYY-MM-DD' the PDF was made
+            fileName: bookData.fileName || null,
+            fileSize: bookData.data.byteLength,
+            data: bookData.data,
             totalPages: bookData.totalPages,
             currentPage: 1,
+            positionOffset: null, // Exact reading position in the book's text (currentPage is its PDF page)
+            positionSnippet: null, // Text at positionOffset, to find it again in another version of the text
+            positionTextVersion: null, // Version of the text positionOffset points into (see PDFHandler.getTextVersion)
+            ocrLanguage: null, // Language of the text recognized on scanned pages (null: OCR.DEFAULT_LANGUAGE)
+            typography: null, // Typography of this book only (null: the one saved for every book)
+            status: 'to-read', // 'to-read', 'reading', 'finished' or 'abandoned'
+            rating: null, // 1-5 stars
+            collections: [], // Ids of the collections holding the book
+            tags: [],
             addedAt: new Date().toISOString(),
             lastReadAt: null,
-            coverImage: bookData.coverImage || null
+            cover: bookData.cover || null
         };
+        const { book: record, file, cover } = splitBook(book);
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['books'], 'readwrite');
-            const store = transaction.objectStore('books');
-            const request = store.add(book);
+            const transaction = startTransaction(['books', ...FILE_STORES], 'readwrite');
+            transaction.objectStore('books').add(record);
+            transaction.objectStore('bookFiles').put(file);
+            if (cover) transaction.objectStore('covers').put(cover);
+
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // The book's PDF as an ArrayBuffer, or null
+    async function getBookData(bookId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['bookFiles'], 'readonly');
+            const request = transaction.objectStore('bookFiles').get(bookId);
 
-            request.onsuccess = () => resolve(book);
+            request.onsuccess = () => resolve(request.result?.data || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Cover thumbnails (Blobs) by book id
+    async function getCovers() {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['covers'], 'readonly');
+            const request = transaction.objectStore('covers').getAll();
+
+            request.onsuccess = () => resolve(new Map(request.result.map(cover => [cover.bookId, cover.blob])));
             request.onerror = () => reject(request.error);
         });
     }
 
     async function getBook(bookId) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['books'], 'readonly');
+            const transaction = startTransaction(['books'], 'readonly');
             const store = transaction.objectStore('books');
             const request = store.get(bookId);
 
@@ -95,7 +329,7 @@ const Storage = (() => {
 
     async function getAllBooks() {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['books'], 'readonly');
+            const transaction = startTransaction(['books'], 'readonly');
             const store = transaction.objectStore('books');
             const request = store.getAll();
 
@@ -112,9 +346,10 @@ const Storage = (() => {
         });
     }
 
-    async function updateBookProgress(bookId, currentPage) {
+    // anchor: { snippet, textVersion } of positionOffset (see saveBook)
+    async function updateBookProgress(bookId, currentPage, positionOffset = null, anchor = {}) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['books'], 'readwrite');
+            const transaction = startTransaction(['books'], 'readwrite');
             const store = transaction.objectStore('books');
             const request = store.get(bookId);
 
@@ -122,6 +357,9 @@ const Storage = (() => {
                 const book = request.result;
                 if (book) {
                     book.currentPage = currentPage;
+                    book.positionOffset = positionOffset;
+                    book.positionSnippet = anchor.snippet ?? null;
+                    book.positionTextVersion = anchor.textVersion ?? null;
                     book.lastReadAt = new Date().toISOString();
                     store.put(book);
                     resolve(book);
@@ -133,12 +371,44 @@ const Storage = (() => {
         });
     }
 
+    // Change some fields of a book record
+    async function updateBook(bookId, changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['books'], 'readwrite');
+            const store = transaction.objectStore('books');
+            const request = store.get(bookId);
+
+            request.onsuccess = () => {
+                const book = request.result;
+                if (book) {
+                    Object.assign(book, changes);
+                    store.put(book);
+                    resolve(book);
+                } else {
+                    reject(new Error('Book not found'));
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async function deleteBook(bookId) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['books', 'bookmarks', 'notes'], 'readwrite');
+            const transaction = startTransaction(['books', ...FILE_STORES, 'bookmarks', 'notes', 'highlights', 'sessions', 'textCache', 'ocrCache'], 'readwrite');
 
-            // Delete book
+            // Delete book, its files and its cached text
             transaction.objectStore('books').delete(bookId);
+            FILE_STORES.forEach(storeName => transaction.objectStore(storeName).delete(bookId));
+            transaction.objectStore('textCache').delete(bookId);
+
+            const ocrRequest = transaction.objectStore('ocrCache').index('bookId').openCursor(IDBKeyRange.only(bookId));
+            ocrRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
 
             // Delete associated bookmarks
             const bookmarksStore = transaction.objectStore('bookmarks');
@@ -166,8 +436,35 @@ const Storage = (() => {
                 }
             };
 
+            // Delete associated highlights
+            const highlightsStore = transaction.objectStore('highlights');
+            const highlightsIndex = highlightsStore.index('bookId');
+            const highlightsRequest = highlightsIndex.openCursor(IDBKeyRange.only(bookId));
+
+            highlightsRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+
+            // Delete associated reading sessions
+            const sessionsStore = transaction.objectStore('sessions');
+            const sessionsIndex = sessionsStore.index('bookId');
+            const sessionsRequest = sessionsIndex.openCursor(IDBKeyRange.only(bookId));
+
+            sessionsRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
         });
     }
 
@@ -175,18 +472,21 @@ const Storage = (() => {
     // Bookmarks Operations
     // ==========================================
 
-    async function addBookmark(bookId, page, contentSnippet = '', globalOffset = -1) {
+    // Bookmarks, notes and highlights record the textVersion their offsets point
+    // into, so they can be found again once the book's text changes
+    async function addBookmark(bookId, page, contentSnippet = '', globalOffset = -1, textVersion = null) {
         const bookmark = {
             id: generateId(),
             bookId: bookId,
             page: page,
             contentSnippet: contentSnippet,
             globalOffset: globalOffset,
+            textVersion: textVersion,
             createdAt: new Date().toISOString()
         };
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['bookmarks'], 'readwrite');
+            const transaction = startTransaction(['bookmarks'], 'readwrite');
             const store = transaction.objectStore('bookmarks');
             const request = store.add(bookmark);
 
@@ -197,7 +497,7 @@ const Storage = (() => {
 
     async function getBookmarks(bookId) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['bookmarks'], 'readonly');
+            const transaction = startTransaction(['bookmarks'], 'readonly');
             const store = transaction.objectStore('bookmarks');
             const index = store.index('bookId');
             const request = index.getAll(IDBKeyRange.only(bookId));
@@ -210,9 +510,29 @@ const Storage = (() => {
         });
     }
 
+    async function updateBookmark(bookmarkId, changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['bookmarks'], 'readwrite');
+            const store = transaction.objectStore('bookmarks');
+            const request = store.get(bookmarkId);
+
+            request.onsuccess = () => {
+                const bookmark = request.result;
+                if (bookmark) {
+                    Object.assign(bookmark, changes);
+                    store.put(bookmark);
+                    resolve(bookmark);
+                } else {
+                    reject(new Error('Bookmark not found'));
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async function deleteBookmark(bookmarkId) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['bookmarks'], 'readwrite');
+            const transaction = startTransaction(['bookmarks'], 'readwrite');
             const store = transaction.objectStore('bookmarks');
             const request = store.delete(bookmarkId);
 
@@ -225,7 +545,8 @@ const Storage = (() => {
     // Notes Operations
     // ==========================================
 
-    async function addNote(bookId, page, text, contentSnippet = '', globalOffset = -1) {
+    // createdAt: null records a note whose date isn't known (e.g. an imported clipping)
+    async function addNote(bookId, page, text, contentSnippet = '', globalOffset = -1, createdAt = new Date().toISOString(), textVersion = null) {
         const note = {
             id: generateId(),
             bookId: bookId,
@@ -233,11 +554,12 @@ const Storage = (() => {
             text: text,
             contentSnippet: contentSnippet,
             globalOffset: globalOffset,
-            createdAt: new Date().toISOString()
+            textVersion: textVersion,
+            createdAt: createdAt
         };
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['notes'], 'readwrite');
+            const transaction = startTransaction(['notes'], 'readwrite');
             const store = transaction.objectStore('notes');
             const request = store.add(note);
 
@@ -248,7 +570,7 @@ const Storage = (() => {
 
     async function getNotes(bookId) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['notes'], 'readonly');
+            const transaction = startTransaction(['notes'], 'readonly');
             const store = transaction.objectStore('notes');
             const index = store.index('bookId');
             const request = index.getAll(IDBKeyRange.only(bookId));
@@ -261,9 +583,29 @@ const Storage = (() => {
         });
     }
 
+    async function updateNote(noteId, changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['notes'], 'readwrite');
+            const store = transaction.objectStore('notes');
+            const request = store.get(noteId);
+
+            request.onsuccess = () => {
+                const note = request.result;
+                if (note) {
+                    Object.assign(note, changes);
+                    store.put(note);
+                    resolve(note);
+                } else {
+                    reject(new Error('Note not found'));
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async function deleteNote(noteId) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['notes'], 'readwrite');
+            const transaction = startTransaction(['notes'], 'readwrite');
             const store = transaction.objectStore('notes');
             const request = store.delete(noteId);
 
@@ -272,13 +614,303 @@ const Storage = (() => {
         });
     }
 
+    // ==========================================
+    // Highlights Operations
+    // ==========================================
+
+    // start/end are global text offsets (end exclusive)
+    async function addHighlight(bookId, start, end, text, color = 'yellow', page = 1, textVersion = null) {
+        const highlight = {
+            id: generateId(),
+            bookId: bookId,
+            start: start,
+            end: end,
+            text: text,
+            color: color,
+            page: page,
+            textVersion: textVersion,
+            createdAt: new Date().toISOString()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['highlights'], 'readwrite');
+            const store = transaction.objectStore('highlights');
+            const request = store.add(highlight);
+
+            request.onsuccess = () => resolve(highlight);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getHighlights(bookId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['highlights'], 'readonly');
+            const store = transaction.objectStore('highlights');
+            const index = store.index('bookId');
+            const request = index.getAll(IDBKeyRange.only(bookId));
+
+            request.onsuccess = () => {
+                const highlights = request.result.sort((a, b) => a.start - b.start);
+                resolve(highlights);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function updateHighlight(highlightId, changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['highlights'], 'readwrite');
+            const store = transaction.objectStore('highlights');
+            const request = store.get(highlightId);
+
+            request.onsuccess = () => {
+                const highlight = request.result;
+                if (highlight) {
+                    Object.assign(highlight, changes);
+                    store.put(highlight);
+                    resolve(highlight);
+                } else {
+                    reject(new Error('Highlight not found'));
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function deleteHighlight(highlightId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['highlights'], 'readwrite');
+            const store = transaction.objectStore('highlights');
+            const request = store.delete(highlightId);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==========================================
+    // Reading Sessions Operations
+    // ==========================================
+
+    // Sessions are created and updated by the Stats module, which owns their shape
+    async function saveSession(session) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['sessions'], 'readwrite');
+            const store = transaction.objectStore('sessions');
+            const request = store.put(session);
+
+            request.onsuccess = () => resolve(session);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getSessions(bookId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['sessions'], 'readonly');
+            const store = transaction.objectStore('sessions');
+            const index = store.index('bookId');
+            const request = index.getAll(IDBKeyRange.only(bookId));
+
+            request.onsuccess = () => {
+                const sessions = request.result.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+                resolve(sessions);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getAllSessions() {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['sessions'], 'readonly');
+            const store = transaction.objectStore('sessions');
+            const index = store.index('startedAt');
+            const request = index.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function deleteSession(sessionId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['sessions'], 'readwrite');
+            const store = transaction.objectStore('sessions');
+            const request = store.delete(sessionId);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==========================================
+    // Text Cache Operations
+    // ==========================================
+
+    async function getTextCache(bookId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['textCache'], 'readonly');
+            const store = transaction.objectStore('textCache');
+            const request = store.get(bookId);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function saveTextCache(cache) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['textCache'], 'readwrite');
+            const store = transaction.objectStore('textCache');
+            const request = store.put(cache);
+
+            request.onsuccess = () => resolve(cache);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==========================================
+    // OCR Cache Operations
+    // ==========================================
+
+    async function getOcrPage(bookId, pageNumber) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['ocrCache'], 'readonly');
+            const store = transaction.objectStore('ocrCache');
+            const request = store.get(`${bookId}:${pageNumber}`);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // page: { bookId, pageNumber, language, items }
+    async function saveOcrPage(page) {
+        const record = { id: `${page.bookId}:${page.pageNumber}`, ...page, createdAt: new Date().toISOString() };
+
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['ocrCache'], 'readwrite');
+            const store = transaction.objectStore('ocrCache');
+            const request = store.put(record);
+
+            request.onsuccess = () => resolve(record);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==========================================
+    // Collections Operations
+    // ==========================================
+
+    async function getCollections() {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['collections'], 'readonly');
+            const request = transaction.objectStore('collections').getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function addCollection(name) {
+        const collection = {
+            id: generateId(),
+            name,
+            createdAt: new Date().toISOString()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['collections'], 'readwrite');
+            const request = transaction.objectStore('collections').add(collection);
+
+            request.onsuccess = () => resolve(collection);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // The books stay in the library, only leaving the collection
+    async function deleteCollection(collectionId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['collections', 'books'], 'readwrite');
+            transaction.objectStore('collections').delete(collectionId);
+
+            const request = transaction.objectStore('books').openCursor();
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const book = cursor.value;
+                if (book.collections?.includes(collectionId)) {
+                    cursor.update({ ...book, collections: book.collections.filter(id => id !== collectionId) });
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // ==========================================
+    // Dictionary Operations
+    // ==========================================
+
+    async function getDictionaries() {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['dictionaries'], 'readonly');
+            const request = transaction.objectStore('dictionaries').getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // entries: [{ dictionaryId, key, word, definition }], written with the dictionary in one transaction
+    async function saveDictionary(dictionary, entries) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(DICTIONARY_STORES, 'readwrite');
+            transaction.objectStore('dictionaries').put(dictionary);
+            const entriesStore = transaction.objectStore('dictionaryEntries');
+            entries.forEach(entry => entriesStore.put(entry));
+
+            transaction.oncomplete = () => resolve(dictionary);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async function deleteDictionary(dictionaryId) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(DICTIONARY_STORES, 'readwrite');
+            transaction.objectStore('dictionaries').delete(dictionaryId);
+            // Entry keys start with the dictionary id, so one key range covers them all
+            transaction.objectStore('dictionaryEntries').delete(IDBKeyRange.bound([dictionaryId], [dictionaryId, []]));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Entries of the first key (in the given order) that any dictionary has
+    async function findDictionaryEntries(keys) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(['dictionaryEntries'], 'readonly');
+            const index = transaction.objectStore('dictionaryEntries').index('key');
+            const requests = keys.map(key => index.getAll(key));
+
+            transaction.oncomplete = () => resolve(requests.map(request => request.result).find(entries => entries.length) || []);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
     // ==========================================
     // Settings Operations
     // ==========================================
 
     async function getSetting(key) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['settings'], 'readonly');
+            const transaction = startTransaction(['settings'], 'readonly');
             const store = transaction.objectStore('settings');
             const request = store.get(key);
 
@@ -289,7 +921,7 @@ const Storage = (() => {
 
     async function setSetting(key, value) {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['settings'], 'readwrite');
+            const transaction = startTransaction(['settings'], 'readwrite');
             const store = transaction.objectStore('settings');
             const request = store.put({ key, value });
 
@@ -298,21 +930,97 @@ const Storage = (() => {
         });
     }
 
+    // ==========================================
+    // Bulk Operations (backup & restore)
+    // ==========================================
+
+    async function getAllRecords(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Write records into several stores in a single transaction.
+    // recordsByStore: { storeName: [records] }; with clear, stores (and caches) are emptied first.
+    // Books may carry their data and cover, which go to their own stores (see splitBook)
+    async function putRecords(recordsByStore, { clear = false } = {}) {
+        const records = { ...recordsByStore };
+        if (records.books) {
+            const parts = records.books.map(splitBook);
+            records.books = parts.map(part => part.book);
+            records.bookFiles = parts.map(part => part.file).filter(Boolean);
+            records.covers = parts.map(part => part.cover).filter(Boolean);
+        }
+        const storeNames = clear ? [...STORES, ...FILE_STORES] : Object.keys(records);
+
+        return new Promise((resolve, reject) => {
+            const transaction = startTransaction(clear ? [...storeNames, ...CACHE_STORES] : storeNames, 'readwrite');
+
+            if (clear) CACHE_STORES.forEach(storeName => transaction.objectStore(storeName).clear());
+
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                if (clear) store.clear();
+                (records[storeName] || []).forEach(record => store.put(record));
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
     // Public API
     return {
+        STORES,
+        DB_VERSION,
+        MIGRATIONS,
         init,
+        open,
+        close,
+        generateId,
         saveBook,
         getBook,
+        getBookData,
+        getCovers,
         getAllBooks,
         updateBookProgress,
+        updateBook,
         deleteBook,
+        getCollections,
+        addCollection,
+        deleteCollection,
         addBookmark,
+        updateBookmark,
         getBookmarks,
         deleteBookmark,
         addNote,
+        updateNote,
         getNotes,
         deleteNote,
+        addHighlight,
+        getHighlights,
+        updateHighlight,
+        deleteHighlight,
+        saveSession,
+        getSessions,
+        getAllSessions,
+        deleteSession,
+        getTextCache,
+        saveTextCache,
+        getOcrPage,
+        saveOcrPage,
+        getDictionaries,
+        saveDictionary,
+        deleteDictionary,
+        findDictionaryEntries,
         getSetting,
-        setSetting
+        setSetting,
+        getAllRecords,
+        putRecords
     };
 })();
@@ -0,0 +1,592 @@
+/**
+ * KindlePDF - Text Extraction Module
+ * Turns pdf.js text content into clean page text and paragraphs.
+ * Shared by the reader and the extraction worker, so it must not touch the DOM.
+ *
+ * Pages go through a page reader (see createPageReader), which rebuilds lines from
+ * the text items, puts them in reading order column by column, drops running headers,
+ * footers and folios, joins words hyphenated across lines and finds paragraph starts
+ * from indentation and vertical gaps. Paragraphs set in larger or bold type are
+ * classified as headings (levels 1-3) against the document's body text size.
+ *
+ * Images found in a page's operator list (see getPageImages) take part in the
+ * reading order as figures: paragraphs of their own made of a single FIGURE_CHAR,
+ * so every figure has an offset in the book's text. Scanned pages have no text
+ * items; the text recognized on them (see OCR) comes in the same shape instead.
+ */
+
+const TextExtraction = (() => {
+    // Distances are in font heights of the line at hand unless noted otherwise
+    const LINE_TOLERANCE = 0.5; // Baseline shift still counted as the same line (superscripts)
+    const WORD_GAP = 0.15; // Horizontal gap between items that stands for a space
+    const COLUMN_GAP = 1.5; // Horizontal gap between items that separates columns rather than words
+    const GUTTER = 1; // Narrowest empty strip between two columns
+    const MIN_COLUMN_LINES = 3; // Lines needed on each side of a gutter for it to split columns
+    const MAX_SPANNING = 0.2; // Share of a page's lines that may cross a gutter (titles, wide figures)
+    const MAX_GUTTER_BINS = 2000; // Strips a page is split into when looking for gutters (1 PDF unit each up to this width)
+    const PARAGRAPH_GAP = 1.5; // Multiple of the page's line spacing that separates paragraphs
+    const INDENT = 0.8; // First-line indent that starts a paragraph
+    const SHORT_LINE = 2; // Room left before the right margin after a sentence that ends a paragraph
+    const FONT_CHANGE = 0.2; // Relative change in font size that starts a new paragraph
+    const RUNNING_WINDOW = 4; // Pages on each side compared when looking for running lines
+    const RUNNING_MIN_REPEATS = 2; // Neighbouring pages that must repeat a line for it to be dropped
+    const RUNNING_EDGE_LINES = 2; // Lines at the top and at the bottom of a page that may be running
+    const RUNNING_Y_TOLERANCE = 4; // PDF units
+    const MIN_PAGE_TEXT = 10; // Pages with less text than this are treated as blank
+    const HEADING_SIZES = [1.6, 1.3, 1.1]; // Size relative to body text from which a paragraph is an h1, h2, h3
+    const MAX_HEADING_LENGTH = 150;
+    const MIN_FIGURE_SIZE = 36; // PDF units (half an inch): smaller images are ornaments
+    const MAX_FIGURE_AREA = 0.85; // Share of the page above which an image is a background or a scan
+    const FIGURE_CHAR = '\uFFFC'; // Object replacement character standing for a figure in the text
+
+    const HYPHEN_END = /[A-Za-zÀ-ÿ][-\u00AD]$/; // Hyphen or soft hyphen after a letter
+    const LOWERCASE_START = /^[a-zà-ÿ]/;
+    const SENTENCE_END = /[.!?:;"»”)]$/;
+    const BOLD_FONT = /bold|black|heavy|demi/i;
+
+    // ==========================================
+    // Lines
+    // ==========================================
+
+    // Group text items into lines: [{ text, key, x, right, y, size, bold }], in stream
+    // order. Items on the same baseline but far apart belong to different columns
+    function buildLines({ items, styles = {} }) {
+        const lines = [];
+        let line = null;
+
+        for (const item of items) {
+            if (!item.str) continue;
+            const [, , c, d, x, y] = item.transform;
+            if (![x, y, item.width].every(Number.isFinite)) continue; // Broken or unpositioned text
+            const size = Math.hypot(c, d) || item.height || 1;
+
+            if (!line
+                || Math.abs(y - line.y) > Math.max(size, line.size) * LINE_TOLERANCE
+                || x - line.right > Math.max(size, line.size) * COLUMN_GAP
+                || x + item.width < line.x) {
+                line = { items: [], x, right: x, y, size };
+                lines.push(line);
+            }
+            line.items.push({ str: item.str, x, right: x + item.width, bold: isBoldFont(item.fontName, styles) });
+            line.x = Math.min(line.x, x);
+            line.right = Math.max(line.right, x + item.width);
+            line.size = Math.max(line.size, size);
+        }
+
+        return lines
+            .map(({ items: lineItems, ...rest }) => {
+                const text = lineText(lineItems, rest.size);
+                const bold = lineItems.every(item => item.bold || !item.str.trim());
+                return { ...rest, text, key: runningKey(text), bold };
+            })
+            .filter(l => l.text);
+    }
+
+    // Items of a line left to right, with a space wherever they don't touch
+    function lineText(items, size) {
+        let text = '';
+        let previous = null;
+
+        items.sort((a, b) => a.x - b.x).forEach(item => {
+            if (previous && item.x - previous.right > size * WORD_GAP && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                text += ' ';
+            }
+            text += item.str;
+            previous = item;
+        });
+
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // ==========================================
+    // Reading Order
+    // ==========================================
+
+    // Put lines in reading order and tag each with its column (-1 when it crosses
+    // a gutter). The page is read in bands from top to bottom, each band column by
+    // column; lines crossing a gutter (titles, wide captions) separate the bands.
+    // Single-column pages keep the stream order, with figures placed by height.
+    // view: the page's [x1, y1, x2, y2] in PDF units, when known
+    function orderLines(lines, view = null) {
+        const gutters = findGutters(lines, view);
+        if (!gutters.length) {
+            lines.forEach(line => { line.column = 0; });
+            const ordered = lines.filter(line => !line.figure);
+            lines.filter(line => line.figure).forEach(figure => {
+                const index = ordered.findIndex(line => !line.figure && line.y < figure.y);
+                ordered.splice(index === -1 ? ordered.length : index, 0, figure);
+            });
+            return ordered;
+        }
+
+        lines.forEach(line => {
+            line.column = gutters.some(x => line.x < x && line.right > x) ? -1 : gutters.filter(x => x <= line.x).length;
+        });
+
+        const ordered = [];
+        let band = [];
+        const flushBand = () => {
+            ordered.push(...band.sort((a, b) => a.column - b.column || b.y - a.y));
+            band = [];
+        };
+
+        [...lines].sort((a, b) => b.y - a.y || a.x - b.x).forEach(line => {
+            if (line.column !== -1) {
+                band.push(line);
+                return;
+            }
+            flushBand();
+            ordered.push(line);
+        });
+        flushBand();
+        return ordered;
+    }
+
+    // x positions (PDF units) of the empty vertical strips between columns. The text's
+    // width, cut to the page, is scanned in at most MAX_GUTTER_BINS strips
+    function findGutters(lines, view = null) {
+        if (lines.length < MIN_COLUMN_LINES * 2) return [];
+
+        const left = Math.max(Math.floor(Math.min(...lines.map(l => l.x))), view ? view[0] : -Infinity);
+        const right = Math.min(Math.ceil(Math.max(...lines.map(l => l.right))), view ? view[2] : Infinity);
+        if (!(right > left) || !Number.isFinite(right - left)) return [];
+
+        const bin = Math.max(1, (right - left) / MAX_GUTTER_BINS);
+        const coverage = new Uint16Array(Math.ceil((right - left) / bin));
+        const toBin = (x) => Math.max(0, Math.min(coverage.length, (x - left) / bin));
+        lines.forEach(l => {
+            for (let i = Math.floor(toBin(l.x)); i < Math.ceil(toBin(l.right)); i++) coverage[i]++;
+        });
+
+        const minWidth = median(lines.filter(l => !l.figure).map(l => l.size)) * GUTTER;
+        const maxCrossing = lines.length * MAX_SPANNING;
+        const gutters = [];
+        let start = null;
+
+        for (let i = 0; i < coverage.length; i++) {
+            if (coverage[i] <= maxCrossing) {
+                if (start === null) start = i;
+                continue;
+            }
+            // Strips touching the page's text edges are margins, not gutters
+            if (start !== null && start > 0 && (i - start) * bin >= minWidth) {
+                const x = left + ((start + i) / 2) * bin;
+                const before = lines.filter(l => l.right <= x).length;
+                const after = lines.filter(l => l.x >= x).length;
+                if (before >= MIN_COLUMN_LINES && after >= MIN_COLUMN_LINES) gutters.push(x);
+            }
+            start = null;
+        }
+
+        return gutters;
+    }
+
+    // Embedded font names usually carry the weight ("ABCDEF+Minion-Bold"); pdf.js
+    // exposes them as the item's font name or the style's family
+    function isBoldFont(fontName, styles) {
+        return BOLD_FONT.test(fontName || '') || BOLD_FONT.test(styles[fontName]?.fontFamily || '');
+    }
+
+    // ==========================================
+    // Figures
+    // ==========================================
+
+    // Images painted on a pdf.js page, found by following the transformation matrix
+    // through its operator list: { figures, scanned }. figures are page-space rectangles
+    // { x, y, width, height }; scanned tells an image covers the page (a scan)
+    async function getPageImages(page, OPS) {
+        let operatorList;
+        try {
+            operatorList = await page.getOperatorList();
+        } catch (error) {
+            return { figures: [], scanned: false };
+        }
+
+        const [viewX0, viewY0, viewX1, viewY1] = page.view;
+        const pageArea = (viewX1 - viewX0) * (viewY1 - viewY0);
+        const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject, OPS.paintJpegXObject]);
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+        const regions = [];
+
+        operatorList.fnArray.forEach((fn, i) => {
+            const args = operatorList.argsArray[i];
+            if (fn === OPS.save) {
+                stack.push(ctm);
+            } else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) {
+                ctm = stack.pop() || ctm;
+            } else if (fn === OPS.transform) {
+                ctm = multiplyMatrix(ctm, args);
+            } else if (fn === OPS.paintFormXObjectBegin) {
+                stack.push(ctm);
+                if (args[0]) ctm = multiplyMatrix(ctm, args[0]);
+            } else if (imageOps.has(fn)) {
+                // Images are painted into the unit square
+                const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => [
+                    ctm[0] * x + ctm[2] * y + ctm[4],
+                    ctm[1] * x + ctm[3] * y + ctm[5]
+                ]);
+                const x0 = Math.max(viewX0, Math.min(...corners.map(c => c[0])));
+                const x1 = Math.min(viewX1, Math.max(...corners.map(c => c[0])));
+                const y0 = Math.max(viewY0, Math.min(...corners.map(c => c[1])));
+                const y1 = Math.min(viewY1, Math.max(...corners.map(c => c[1])));
+                const region = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+
+                if (region.width >= MIN_FIGURE_SIZE && region.height >= MIN_FIGURE_SIZE) regions.push(region);
+            }
+        });
+
+        // Scans painted in strips or tiles merge back into one page-sized image
+        const merged = mergeRegions(regions);
+        return {
+            figures: merged.filter(r => r.width * r.height <= pageArea * MAX_FIGURE_AREA),
+            scanned: merged.some(r => r.width * r.height > pageArea * MAX_FIGURE_AREA)
+        };
+    }
+
+    // A scanned page with no text layer to go with it, whose text must be recognized (OCR)
+    function isScanned(textContent, images) {
+        const length = textContent.items.reduce((sum, item) => sum + (item.str || '').trim().length, 0);
+        return images.scanned && length <= MIN_PAGE_TEXT;
+    }
+
+    function multiplyMatrix(m, t) {
+        return [
+            m[0] * t[0] + m[2] * t[1],
+            m[1] * t[0] + m[3] * t[1],
+            m[0] * t[2] + m[2] * t[3],
+            m[1] * t[2] + m[3] * t[3],
+            m[0] * t[4] + m[2] * t[5] + m[4],
+            m[1] * t[4] + m[3] * t[5] + m[5]
+        ];
+    }
+
+    // Overlapping images (tiles of one picture, a photo and its frame) make one figure
+    function mergeRegions(regions) {
+        const merged = [];
+        regions.forEach(region => {
+            let current = region;
+            for (let i = merged.length - 1; i >= 0; i--) {
+                const other = merged[i];
+                if (current.x < other.x + other.width && other.x < current.x + current.width
+                    && current.y < other.y + other.height && other.y < current.y + current.height) {
+                    const x = Math.min(current.x, other.x);
+                    const y = Math.min(current.y, other.y);
+                    current = {
+                        x,
+                        y,
+                        width: Math.max(current.x + current.width, other.x + other.width) - x,
+                        height: Math.max(current.y + current.height, other.y + other.height) - y
+                    };
+                    merged.splice(i, 1);
+                }
+            }
+            merged.push(current);
+        });
+        return merged;
+    }
+
+    // A figure takes part in the reading order as a line placed at its top edge
+    function figureLine(region) {
+        return {
+            figure: region,
+            text: FIGURE_CHAR,
+            key: '',
+            x: region.x,
+            right: region.x + region.width,
+            y: region.y + region.height,
+            size: 0,
+            bold: false
+        };
+    }
+
+    // Folios change from page to page, so numbers are compared as placeholders
+    function runningKey(text) {
+        return text.toLowerCase().replace(/\d+/g, '#');
+    }
+
+    // ==========================================
+    // Paragraphs
+    // ==========================================
+
+    // Body lines of a page in reading order -> { text, paragraphs }: paragraphs are
+    // separated by '\n\n' in the text and listed as [start, length, heading level],
+    // plus the page-space rectangle for figures. The main flow comes first, then
+    // each aside as a block of its own
+    function pageText(lines, bodySize) {
+        const { flow, asides } = splitAsides(lines.filter(l => l.text));
+        const packed = [];
+        let text = '';
+
+        [flow, ...asides].flatMap(paragraphs).forEach(paragraph => {
+            if (text) text += '\n\n';
+            packed.push(paragraph.figure
+                ? [text.length, FIGURE_CHAR.length, 0, paragraph.figure]
+                : [text.length, paragraph.text.length, headingLevel(paragraph, bodySize)]);
+            text += paragraph.text;
+        });
+
+        return { text, paragraphs: packed };
+    }
+
+    // Heading level (1-3) of a paragraph from its type, 0 for body text. Bold text at
+    // body size is a level 3 heading when it's short and doesn't read like a sentence
+    function headingLevel({ text, lines }, bodySize) {
+        if (!bodySize || text.length > MAX_HEADING_LENGTH || text.replace(/[^A-Za-zÀ-ÿ]/g, '').length < 2) return 0;
+
+        const size = Math.max(...lines.map(l => l.size)) / bodySize;
+        const level = HEADING_SIZES.findIndex(min => size >= min) + 1;
+        if (level) return level;
+
+        const bold = lines.every(l => l.bold) && size >= 1 - FONT_CHANGE;
+        return bold && !/[.,;]$/.test(text) ? 3 : 0;
+    }
+
+    // Runs of lines in smaller type than the body (captions, sidebars, footnotes)
+    // are asides: they are taken out of the flow so they don't cut its sentences.
+    // A caption right after a figure stays with it
+    function splitAsides(lines) {
+        const bodySize = commonSize(lines.filter(l => !l.figure));
+        const flow = [];
+        const asides = [];
+        let aside = null;
+        let caption = false;
+
+        lines.forEach(line => {
+            const small = line.size < bodySize * (1 - FONT_CHANGE);
+            caption = !!line.figure || (caption && small);
+
+            if (!small || caption) {
+                flow.push(line);
+                aside = null;
+                return;
+            }
+            if (!aside) asides.push(aside = []);
+            aside.push(line);
+        });
+
+        return { flow, asides };
+    }
+
+    function paragraphs(lines) {
+        if (!lines.length) return [];
+
+        const textLines = lines.filter(l => !l.figure);
+        const byColumn = new Map();
+        textLines.forEach(line => {
+            if (!byColumn.has(line.column)) byColumn.set(line.column, []);
+            byColumn.get(line.column).push(line);
+        });
+        const metrics = {
+            spacing: median(textLines.slice(1)
+                .map((l, i) => (l.column === textLines[i].column ? textLines[i].y - l.y : 0))
+                .filter(gap => gap > 0)) || (textLines[0]?.size ?? 0) * 1.2,
+            margins: new Map([...byColumn].map(([column, columnLines]) => [column, commonLeft(columnLines)])),
+            rights: new Map([...byColumn].map(([column, columnLines]) => [column, Math.max(...columnLines.map(l => l.right))]))
+        };
+
+        const result = [];
+        lines.forEach((line, i) => {
+            if (i === 0 || startsParagraph(lines[i - 1], line, metrics)) result.push([]);
+            result[result.length - 1].push(line);
+        });
+        return result.map(paragraphLines => ({
+            text: joinLines(paragraphLines.map(l => l.text)),
+            lines: paragraphLines,
+            figure: paragraphLines[0].figure
+        }));
+    }
+
+    function startsParagraph(previous, line, { spacing, margins, rights }) {
+        if (line.figure || previous.figure) return true;
+        const size = Math.max(previous.size, line.size);
+        const gap = previous.y - line.y;
+
+        if (line.column !== previous.column) {
+            // A paragraph may carry on at the top of the next column, but not across a wide line
+            if (line.column === -1 || previous.column === -1) return true;
+        } else if (gap < 0 || gap > spacing * PARAGRAPH_GAP) {
+            // Moving up within a column means a new box
+            return true;
+        }
+        if (Math.abs(line.size - previous.size) > size * FONT_CHANGE) return true;
+
+        // Only a first-line indent counts: block quotes and centered titles are indented throughout
+        const indented = line.x - margins.get(line.column) > line.size * INDENT;
+        const previousIndented = previous.x - margins.get(previous.column) > previous.size * INDENT;
+        if (indented && !previousIndented) return true;
+
+        // A short line ending where the type switches to or from bold: a heading's edge
+        const short = rights.get(previous.column) - previous.right > size * SHORT_LINE;
+        return short && (SENTENCE_END.test(previous.text) || line.bold !== previous.bold);
+    }
+
+    // Join the lines of a paragraph, mending words hyphenated at line ends
+    function joinLines(lines) {
+        return lines.reduce((text, line) => {
+            if (!text) return line;
+            // Portuguese repeats the hyphen of a compound word on the next line
+            if (/-$/.test(text) && line.startsWith('-')) return text + line.slice(1);
+            if (HYPHEN_END.test(text) && LOWERCASE_START.test(line)) return text.slice(0, -1) + line;
+            return `${text} ${line}`;
+        }, '');
+    }
+
+    // Left margin of the page: the most common line start
+    function commonLeft(lines) {
+        const counts = new Map();
+        lines.forEach(l => {
+            const x = Math.round(l.x);
+            counts.set(x, (counts.get(x) || 0) + 1);
+        });
+
+        let best = null;
+        counts.forEach((count, x) => {
+            if (!best || count > best.count || (count === best.count && x < best.x)) best = { x, count };
+        });
+        return best.x;
+    }
+
+    // Font size of most of the text
+    function commonSize(lines) {
+        return mostCommonSize(countSizes(lines));
+    }
+
+    // Characters set in each font size (rounded to tenths), added to `counts`
+    function countSizes(lines, counts = new Map()) {
+        lines.filter(l => !l.figure).forEach(l => {
+            const size = Math.round(l.size * 10) / 10;
+            counts.set(size, (counts.get(size) || 0) + l.text.length);
+        });
+        return counts;
+    }
+
+    function mostCommonSize(counts) {
+        return [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [0, 0])[0];
+    }
+
+    function median(values) {
+        if (!values.length) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[sorted.length >> 1];
+    }
+
+    // ==========================================
+    // Page Reader
+    // ==========================================
+
+    // Reads a document page after page. Running headers and footers are only recognized
+    // by comparing a page with its neighbours, and mending a word hyphenated across a
+    // page break needs the following page cleaned too, so a page comes out once
+    // RUNNING_WINDOW + 1 more pages have gone in (or at finish). Both methods return
+    // the non-blank pages completed so far as [{ pageNumber, text, paragraphs }]
+    // (see pageText). Headings are measured against the body size of every page read so far
+    function createPageReader() {
+        const pages = []; // Pages not yet released, after up to RUNNING_WINDOW released ones
+        const sizes = new Map(); // Characters per font size over the document
+        let next = 0; // Index in `pages` of the next page to release
+
+        // images: page-space rectangles of the page's figures (see getPageImages);
+        // view: the pdf.js page's view box, which bounds the search for columns
+        function addPage(pageNumber, textContent, images = [], view = null) {
+            const lines = orderLines([...buildLines(textContent), ...images.map(figureLine)], view);
+            pages.push({ pageNumber, lines, edges: edgeLines(lines) });
+            countSizes(lines, sizes);
+
+            const ready = [];
+            while (pages.length - 1 - next > RUNNING_WINDOW) ready.push(release());
+            return ready.filter(hasContent);
+        }
+
+        function finish() {
+            const ready = [];
+            while (next < pages.length) ready.push(release());
+            return ready.filter(hasContent);
+        }
+
+        function release() {
+            const page = pages[next];
+            const body = bodyLines(next);
+
+            // A word hyphenated across the page break is mended on this page
+            const { flow } = splitAsides(body);
+            const last = flow[flow.length - 1];
+            const following = next + 1 < pages.length ? splitAsides(bodyLines(next + 1)).flow[0] : null;
+            if (last && following && HYPHEN_END.test(last.text) && LOWERCASE_START.test(following.text)) {
+                const space = following.text.indexOf(' ');
+                last.text = last.text.slice(0, -1) + (space === -1 ? following.text : following.text.slice(0, space));
+                following.text = space === -1 ? '' : following.text.slice(space + 1);
+            }
+
+            next++;
+            if (next > RUNNING_WINDOW) {
+                pages.shift();
+                next--;
+            }
+            return { pageNumber: page.pageNumber, ...pageText(body, mostCommonSize(sizes)) };
+        }
+
+        function bodyLines(index) {
+            const { lines, edges } = pages[index];
+            const neighbours = pages.filter((_, i) => i !== index && Math.abs(i - index) <= RUNNING_WINDOW);
+            return lines.filter(line => !edges.includes(line) || !isRunning(line, neighbours));
+        }
+
+        return { addPage, finish };
+    }
+
+    // Topmost and bottommost lines of a page, where headers and footers live
+    function edgeLines(lines) {
+        const byHeight = lines.filter(l => !l.figure).sort((a, b) => b.y - a.y);
+        if (byHeight.length <= RUNNING_EDGE_LINES * 2) return byHeight;
+        return [...byHeight.slice(0, RUNNING_EDGE_LINES), ...byHeight.slice(-RUNNING_EDGE_LINES)];
+    }
+
+    // A line repeated at the same height on nearby pages is a header, footer or folio
+    function isRunning(line, neighbours) {
+        const repeats = neighbours.filter(page => page.edges.some(other =>
+            other.key === line.key && Math.abs(other.y - line.y) <= RUNNING_Y_TOLERANCE
+        )).length;
+        return repeats >= RUNNING_MIN_REPEATS;
+    }
+
+    // Only non-empty pages are kept (blank pages are skipped)
+    function hasContent(page) {
+        return page.text.length > MIN_PAGE_TEXT || page.paragraphs.some(p => p[3]);
+    }
+
+    // ==========================================
+    // Paragraph Index
+    // ==========================================
+
+    // Split text into paragraphs ('\n\n' separated), keeping their offsets
+    function splitParagraphs(fullText) {
+        const paragraphs = [];
+        let searchIndex = 0;
+
+        for (const p of fullText.split('\n\n')) {
+            const trimmed = p.trim();
+            if (trimmed) {
+                // Skip leading whitespace so `start` points at the first character of `trimmed`
+                paragraphs.push({
+                    text: trimmed,
+                    start: searchIndex + (p.length - p.trimStart().length),
+                    length: trimmed.length
+                });
+            }
+
+            // The split consumes '\n\n'
+            searchIndex += p.length + 2;
+        }
+
+        return paragraphs;
+    }
+
+    return {
+        FIGURE_CHAR,
+        createPageReader,
+        getPageImages,
+        isScanned,
+        splitParagraphs
+    };
+})();